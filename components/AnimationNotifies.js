@@ -0,0 +1,221 @@
+// AnimationNotifies.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// --- Configuration Constants ---
+// Tunable parameters for firing animation notifies.
+const NOTIFY_CONFIG = {
+    TIME_EPSILON: 1e-4, // Tolerance (seconds) when telling a loop wrap from a restart.
+};
+
+// Event type that receives every notify, whatever its name.
+export const ANY_NOTIFY = '*';
+// --- End Configuration ---
+
+/**
+ * Fires named markers ("notifies") placed on animation clips, e.g. footsteps, weapon swings or sound cues.
+ * Markers sit at normalized clip times (0 = start, 1 = end) and come from model configs or the glTF file
+ * (animation extras: { "notifies": [{ "name": "footstep", "time": 0.5 }] }).
+ *
+ * Call update() once per tick after the mixers have been updated. It looks at how far each action's time
+ * moved since the last tick and fires the markers passed on the way, including across loop wraps, restarts and
+ * reversed playback. Only the highest-weight action with markers of each mixer fires, so a crossfade or blend (e.g. walk/run)
+ * never doubles or drops a footstep. Listeners subscribe by marker name (or ANY_NOTIFY) and receive
+ * { type, name, model, clip, time, weight }.
+ */
+export class AnimationNotifies {
+    /**
+     * Initializes an empty notify system.
+     * @param {object} [config={}] - Overrides for any NOTIFY_CONFIG key.
+     */
+    constructor(config = {}) {
+        /** @type {object} Effective tuning values (NOTIFY_CONFIG merged with overrides). */
+        this.config = { ...NOTIFY_CONFIG, ...config };
+        /** @type {THREE.EventDispatcher} Dispatches notifies by marker name and as ANY_NOTIFY. */
+        this.events = new THREE.EventDispatcher();
+        /** @type {Array<{model: THREE.Object3D, mixer: THREE.AnimationMixer, action: THREE.AnimationAction, clip: string, markers: Array<{name: string, time: number}>, lastTime: number, lastMixerTime: number, wasActive: boolean}>} Tracked actions with markers. */
+        this.entries = [];
+    }
+
+    /**
+     * Reads markers from a loaded glTF's animation extras and merges in markers from a model config.
+     * @param {object} gltf - The GLTFLoader result (its parser's JSON holds the raw animation definitions).
+     * @param {Object.<string, Array<{name: string, time: number}>>} [configMarkers={}] - Extra markers by clip name.
+     * @returns {Object.<string, Array<{name: string, time: number}>>} All markers by clip name.
+     */
+    static collectMarkers(gltf, configMarkers = {}) {
+        const markers = {};
+        // GLTFLoader creates one clip per glTF animation, in order.
+        const definitions = (gltf.parser && gltf.parser.json.animations) || [];
+        (gltf.animations || []).forEach((clip, index) => {
+            const extras = definitions[index] && definitions[index].extras;
+            if (extras && Array.isArray(extras.notifies)) {
+                markers[clip.name] = [...extras.notifies];
+            }
+        });
+        Object.entries(configMarkers).forEach(([clip, list]) => {
+            markers[clip] = [...(markers[clip] || []), ...list];
+        });
+        return markers;
+    }
+
+    /**
+     * Starts firing the markers of a model's clips.
+     * @param {THREE.Object3D} model - The animated model (passed to listeners).
+     * @param {{mixer: THREE.AnimationMixer, actions: Object.<string, THREE.AnimationAction>}} modelAnimations - The model's mixer and actions map.
+     * @param {Object.<string, Array<{name: string, time: number}>>} markersByClip - Markers by clip name (times normalized, 0-1).
+     */
+    register(model, modelAnimations, markersByClip) {
+        const { mixer, actions } = modelAnimations;
+        Object.entries(markersByClip).forEach(([clip, markers]) => {
+            const action = actions[clip];
+            if (!action || markers.length === 0) {
+                if (!action) console.warn(`AnimationNotifies: ${model.userData.path || model.name} has no clip '${clip}' for its notifies.`);
+                return;
+            }
+            this.entries.push({
+                model,
+                mixer,
+                action,
+                clip,
+                markers: [...markers].sort((a, b) => a.time - b.time),
+                lastTime: action.time,
+                lastMixerTime: mixer.time,
+                wasActive: false,
+            });
+        });
+    }
+
+    /**
+     * Stops firing the markers of a model's clips.
+     * @param {THREE.Object3D} model - The model passed to register().
+     */
+    unregister(model) {
+        this.entries = this.entries.filter((entry) => entry.model !== model);
+    }
+
+    /**
+     * Subscribes to a notify.
+     * @param {string} name - Marker name (e.g. 'footstep'), or ANY_NOTIFY for all of them.
+     * @param {function(object)} listener - Called with { type, name, model, clip, time, weight }.
+     * @returns {function()} Call to unsubscribe (same as off(name, listener)).
+     */
+    on(name, listener) {
+        this.events.addEventListener(name, listener);
+        return () => this.off(name, listener);
+    }
+
+    /**
+     * Unsubscribes from a notify.
+     * @param {string} name - Marker name or ANY_NOTIFY.
+     * @param {function(object)} listener - The listener passed to on().
+     */
+    off(name, listener) {
+        this.events.removeEventListener(name, listener);
+    }
+
+    /**
+     * Fires the markers every tracked action passed since the last call. Call once per tick after the mixers have been updated.
+     * Assumes a clip never loops more than once per tick.
+     */
+    update() {
+        // The one action per mixer whose markers fire this tick.
+        const dominantActions = this.getDominantActions();
+
+        this.entries.forEach((entry) => {
+            const { action, mixer } = entry;
+            // Stopped actions, and ones disabled at the end of a fade-out, don't advance.
+            const active = action.isScheduled() && action.enabled;
+            // Weaker actions still track their time, so they pick up from there if they become dominant.
+            if (active && action === dominantActions.get(mixer)) {
+                this.fireCrossed(entry);
+            }
+            entry.wasActive = active;
+            entry.lastTime = action.time;
+            entry.lastMixerTime = mixer.time;
+        });
+    }
+
+    /**
+     * Finds, per mixer, the playing action with markers that has the highest effective weight (the first one on a tie).
+     * Actions without markers don't compete, so a slow walk blended mostly with idle still fires its footsteps.
+     * @returns {Map<THREE.AnimationMixer, THREE.AnimationAction>} The dominant action of each mixer that plays any.
+     */
+    getDominantActions() {
+        const dominantActions = new Map();
+        const dominantWeights = new Map();
+        this.entries.forEach(({ action, mixer }) => {
+            if (!action.isScheduled() || !action.enabled) return;
+            const weight = action.getEffectiveWeight();
+            if (weight > (dominantWeights.get(mixer) || 0)) {
+                dominantActions.set(mixer, action);
+                dominantWeights.set(mixer, weight);
+            }
+        });
+        return dominantActions;
+    }
+
+    /**
+     * Works out which part of the clip an action played since the last tick, and fires the markers in it.
+     * @param {object} entry - The tracked action.
+     */
+    fireCrossed(entry) {
+        const { action, mixer } = entry;
+        const duration = action.getClip().duration;
+        const time = action.time;
+        const last = entry.lastTime;
+        const forward = action.getEffectiveTimeScale() >= 0;
+        // How far the action could have moved, to tell a loop wrap from a restart (reset()).
+        const advance = (mixer.time - entry.lastMixerTime) * Math.abs(action.getEffectiveTimeScale());
+        const epsilon = this.config.TIME_EPSILON;
+        const loops = action.loop === THREE.LoopRepeat;
+
+        if (forward) {
+            if (!entry.wasActive) {
+                // (Re)started since the last tick: from the beginning of the clip.
+                this.fireRange(entry, 0, time, true);
+            } else if (time >= last) {
+                this.fireRange(entry, last, time, false);
+            } else if (loops && last + advance >= duration - epsilon) {
+                // Wrapped around: the rest of the last cycle, then the start of the new one.
+                this.fireRange(entry, last, duration, false);
+                this.fireRange(entry, 0, time, true);
+            } else {
+                // Restarted while playing.
+                this.fireRange(entry, 0, time, true);
+            }
+        } else if (!entry.wasActive) {
+            // Reversed playback runs from the end of the clip toward 0.
+            this.fireRange(entry, time, duration, true);
+        } else if (time <= last) {
+            this.fireRange(entry, time, last, false);
+        } else if (loops && last - advance <= epsilon) {
+            this.fireRange(entry, 0, last, false);
+            this.fireRange(entry, time, duration, true);
+        } else {
+            this.fireRange(entry, time, duration, true);
+        }
+    }
+
+    /**
+     * Fires the markers of an action that lie in a clip time range (start exclusive unless `includeStart`, end inclusive),
+     * in clip order.
+     * @param {object} entry - The tracked action.
+     * @param {number} from - Range start in seconds.
+     * @param {number} to - Range end in seconds.
+     * @param {boolean} includeStart - Whether a marker exactly at `from` fires.
+     */
+    fireRange(entry, from, to, includeStart) {
+        const { action } = entry;
+        const weight = action.getEffectiveWeight();
+        const duration = action.getClip().duration;
+
+        entry.markers.forEach((marker) => {
+            const markerTime = marker.time * duration;
+            const afterStart = includeStart ? markerTime >= from : markerTime > from;
+            if (!afterStart || markerTime > to) return;
+            const event = { name: marker.name, model: entry.model, clip: entry.clip, time: marker.time, weight };
+            this.events.dispatchEvent({ type: marker.name, ...event });
+            this.events.dispatchEvent({ type: ANY_NOTIFY, ...event });
+        });
+    }
+}
@@ -0,0 +1,263 @@
+// AnimationStateMachine.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// --- Configuration Constants ---
+// Defaults used when a state or transition doesn't specify its own values.
+const ANIM_STATE_MACHINE_CONFIG = {
+    DEFAULT_FADE_DURATION: 0.2, // Crossfade time in seconds between states.
+};
+// --- End Configuration ---
+
+/**
+ * A small declarative animation state machine driving a THREE.AnimationMixer.
+ * States map a name to a clip; transitions move between states when their guard passes.
+ * Adding a new animation (land, dodge, emote, ...) is a matter of adding a state and a transition
+ * to the definition, rather than new branches in the controller.
+ *
+ * Definition format:
+ * {
+ *   initial: 'idle',
+ *   defaultFade: 0.2,
+ *   states: {
+ *     idle: { clip: 'stand' },
+ *     land: { clip: 'land', loop: false, exitOnFinish: true, interruptWhen: (ctx) => !ctx.isGrounded, next: 'idle' },
+ *   },
+ *   transitions: [
+ *     { from: '*', to: 'idle', when: (ctx) => !ctx.isMoving, fade: 0.3 },
+ *   ],
+ * }
+ *
+ * State options:
+ * - clip: Name of the clip in the actions map. States whose clip is missing are skipped by transitions.
+ * - loop: false plays the clip once and holds the last frame (default true).
+ * - fade: Crossfade duration used when entering this state (overridden by a transition's fade).
+ * - exitOnFinish: Transitions out are only evaluated once the clip has finished (mixer 'finished' event).
+ * - interruptWhen: Guard that allows leaving an exitOnFinish state early.
+ * - next: State to go to when an exitOnFinish state finishes and no transition matches.
+ * - stopOnExit: Stop the clip instantly when leaving, instead of fading it out.
+ * - timeScale: Playback rate of the clip (default 1; negative plays it backwards).
+ * - blendSpace: A LocomotionBlendSpace played instead of a single clip (e.g. idle/walk/run blended by speed).
+ * - blendParam: Context key fed to the blend space every frame while the state is active (e.g. 'speed').
+ *
+ * Transition options:
+ * - from: A state name, an array of state names, or '*' for any state.
+ * - to: Target state name.
+ * - when: Guard function receiving the context passed to update(). Omit to always pass.
+ * - fade: Crossfade duration for this transition.
+ * Transitions are evaluated in order; the first matching one wins.
+ */
+export class AnimationStateMachine {
+    /**
+     * Initializes the state machine and enters the initial state.
+     * @param {{mixer: THREE.AnimationMixer, actions: Object.<string, THREE.AnimationAction>}} modelAnimations - The mixer and actions map of the animated model.
+     * @param {object} definition - The states/transitions definition (see class description).
+     */
+    constructor(modelAnimations, definition) {
+        /** @type {THREE.AnimationMixer} The mixer playing the actions. */
+        this.mixer = modelAnimations.mixer;
+        /** @type {Object.<string, THREE.AnimationAction>} Actions by clip name. */
+        this.actions = modelAnimations.actions;
+        /** @type {Object.<string, object>} State definitions by name. */
+        this.states = definition.states;
+        /** @type {Array<object>} Ordered transition definitions. */
+        this.transitions = definition.transitions || [];
+        /** @type {number} Fade duration used when neither the transition nor the state define one. */
+        this.defaultFade = definition.defaultFade ?? ANIM_STATE_MACHINE_CONFIG.DEFAULT_FADE_DURATION;
+
+        /** @type {string | null} Name of the current state. */
+        this.currentState = null;
+        /** @type {THREE.AnimationAction | null} The action playing for the current state. */
+        this.currentAction = null;
+        /** @type {boolean} True once a non-looping current state's clip has finished. */
+        this.isFinished = false;
+
+        // Mark non-looping states as finished when their clip ends.
+        /** @type {function(object)} Bound listener for the mixer's 'finished' event (kept for removal in dispose()). */
+        this.onMixerFinished = (event) => {
+            if (event.action === this.currentAction) {
+                this.isFinished = true;
+            }
+        };
+        this.mixer.addEventListener('finished', this.onMixerFinished);
+
+        // Enter the initial state instantly.
+        if (definition.initial) {
+            this.setState(definition.initial, 0);
+        }
+    }
+
+    /**
+     * Maps logical animation names (e.g. IDLE, RUN) to the clips a particular model actually has.
+     * Each logical name maps to a clip name or a list of candidate clip names; the first one present wins,
+     * compared exactly and then case-insensitively. Names with no matching clip try their fallback chain
+     * (e.g. RUN: ['WALK', 'IDLE']) and are reported as unmapped either way.
+     * @param {Object.<string, THREE.AnimationAction>} actions - The model's actions by clip name.
+     * @param {Object.<string, string|Array<string>>} names - Clip name(s) per logical name.
+     * @param {Object.<string, Array<string>>} [fallbacks={}] - Logical names to try, in order, when one has no clip.
+     * @returns {{clips: Object.<string, string|null>, unmapped: Array<{name: string, fallback: string|null}>}}
+     *   The resolved clip name per logical name (null if nothing matched), and the logical names that had no clip of their own with the fallback used (null if skipped).
+     */
+    static resolveClips(actions, names, fallbacks = {}) {
+        const clipNames = Object.keys(actions);
+
+        // Direct matches first, so fallbacks can point at any resolved name.
+        const direct = {};
+        Object.entries(names).forEach(([name, candidates]) => {
+            direct[name] = null;
+            for (const candidate of [].concat(candidates)) {
+                const match = clipNames.find((clip) => clip === candidate)
+                    || clipNames.find((clip) => clip.toLowerCase() === String(candidate).toLowerCase());
+                if (match) {
+                    direct[name] = match;
+                    break;
+                }
+            }
+        });
+
+        const clips = {};
+        const unmapped = [];
+        Object.keys(names).forEach((name) => {
+            if (direct[name]) {
+                clips[name] = direct[name];
+                return;
+            }
+            const fallback = (fallbacks[name] || []).find((other) => direct[other]) || null;
+            clips[name] = fallback ? direct[fallback] : null;
+            unmapped.push({ name, fallback });
+        });
+        return { clips, unmapped };
+    }
+
+    /**
+     * Checks whether a state exists and its clip is present in the model.
+     * @param {string} stateName - The state to check.
+     * @returns {boolean} True if the state can be entered.
+     */
+    hasState(stateName) {
+        const state = this.states[stateName];
+        if (state && state.blendSpace) return !state.blendSpace.isEmpty();
+        return Boolean(state && this.actions[state.clip]);
+    }
+
+    /**
+     * Evaluates transitions for the current state and switches state if one matches.
+     * Should be called once per frame after the owner's logic has updated the context values.
+     * @param {object} context - Arbitrary values the guards read (e.g. { isGrounded, isMoving, velocityY }).
+     */
+    update(context) {
+        const state = this.states[this.currentState];
+
+        // Blend states follow their parameter continuously.
+        if (state && state.blendSpace) {
+            state.blendSpace.update(context[state.blendParam] || 0);
+        }
+
+        // Exit-on-finish states hold until their clip ends, unless their interrupt guard passes.
+        if (state && state.exitOnFinish && !this.isFinished) {
+            if (!state.interruptWhen || !state.interruptWhen(context)) return;
+        }
+
+        for (const transition of this.transitions) {
+            if (!this.matchesFrom(transition.from)) continue;
+            if (transition.to === this.currentState || !this.hasState(transition.to)) continue;
+            if (transition.when && !transition.when(context)) continue;
+            this.setState(transition.to, transition.fade);
+            return;
+        }
+
+        // A finished state with nowhere else to go continues to its `next` state.
+        if (state && state.exitOnFinish && this.isFinished && state.next) {
+            this.setState(state.next);
+        }
+    }
+
+    /**
+     * Checks whether a transition's `from` field matches the current state.
+     * @param {string|Array<string>} from - '*', a state name, or a list of state names.
+     * @returns {boolean} True if the transition applies to the current state.
+     */
+    matchesFrom(from) {
+        if (from === undefined || from === '*') return true;
+        if (Array.isArray(from)) return from.includes(this.currentState);
+        return from === this.currentState;
+    }
+
+    /**
+     * Switches to a state immediately, crossfading from the current one.
+     * @param {string} stateName - The state to enter.
+     * @param {number} [fadeDuration] - Crossfade time; defaults to the state's fade, then the machine default.
+     * @returns {boolean} True if the state was entered (false if it doesn't exist or its clip is missing).
+     */
+    setState(stateName, fadeDuration) {
+        if (!this.hasState(stateName)) return false;
+
+        const state = this.states[stateName];
+        const fade = fadeDuration ?? state.fade ?? this.defaultFade;
+        const previousState = this.states[this.currentState];
+
+        // Blend states drive several actions themselves.
+        if (state.blendSpace) {
+            if (state.blendSpace !== (previousState && previousState.blendSpace)) {
+                this.fadeOutCurrent(previousState, fade);
+                state.blendSpace.play(fade);
+            }
+            this.currentState = stateName;
+            this.currentAction = null;
+            this.isFinished = false;
+            return true;
+        }
+
+        const targetAction = this.actions[state.clip];
+
+        // Several states may share a clip (e.g. a fallback); don't restart it in that case, just adopt this state's speed.
+        const timeScale = state.timeScale ?? 1;
+        if (targetAction === this.currentAction) {
+            targetAction.setEffectiveTimeScale(timeScale);
+        } else {
+            // Fade out the current animation, if one is playing.
+            this.fadeOutCurrent(previousState, fade);
+
+            // Non-looping states play once and hold their last frame.
+            const loopOnce = state.loop === false;
+            targetAction.setLoop(loopOnce ? THREE.LoopOnce : THREE.LoopRepeat, Infinity);
+            targetAction.clampWhenFinished = loopOnce;
+
+            // Reset the target animation, set its weight and speed (a blend space may have changed them), fade it in, and play.
+            targetAction.reset()
+                .setEffectiveTimeScale(timeScale)
+                .setEffectiveWeight(1.0)
+                .fadeIn(fade)
+                .play();
+        }
+
+        this.currentState = stateName;
+        this.currentAction = targetAction;
+        this.isFinished = false;
+        return true;
+    }
+
+    /**
+     * Fades out (or stops, for stopOnExit states) whatever the current state is playing.
+     * @param {object|undefined} previousState - The state being left.
+     * @param {number} fade - Crossfade time in seconds.
+     */
+    fadeOutCurrent(previousState, fade) {
+        const immediately = Boolean(previousState && previousState.stopOnExit);
+        if (previousState && previousState.blendSpace) {
+            previousState.blendSpace.stop(fade, immediately);
+        } else if (this.currentAction) {
+            if (immediately) {
+                this.currentAction.stop();
+            } else {
+                this.currentAction.fadeOut(fade);
+            }
+        }
+    }
+
+    /**
+     * Removes the mixer listener. Call when the model or machine is discarded.
+     */
+    dispose() {
+        this.mixer.removeEventListener('finished', this.onMixerFinished);
+    }
+}
@@ -0,0 +1,229 @@
+// AudioManager.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// --- Configuration Constants ---
+// Tunable parameters for sound playback.
+const AUDIO_CONFIG = {
+    // Starting volume of each bus (0-1). Every sound plays through 'sfx' or 'ambience', and both through 'master'.
+    BUS_VOLUMES: { master: 1.0, sfx: 0.8, ambience: 0.5 },
+    REF_DISTANCE: 3,        // Distance at which positional sounds play at full volume (units); they get quieter further away.
+    ROLLOFF_FACTOR: 1,      // How quickly positional sounds fade with distance.
+    MAX_DISTANCE: 60,       // Positional sounds stop getting quieter beyond this distance (units).
+    VOICES_PER_EMITTER: 3,  // Max overlapping plays of one sound on one object (e.g. quick footsteps). The oldest is cut off.
+    PITCH_VARIATION: 0.08,  // Random playback rate variation per play (+/- fraction), so repeated sounds don't sound identical.
+};
+
+// Volume buses. Sounds in a bank pick 'sfx' or 'ambience'; 'master' scales everything.
+export const AUDIO_BUSES = {
+    MASTER: 'master',
+    SFX: 'sfx',
+    AMBIENCE: 'ambience',
+};
+// --- End Configuration ---
+
+/**
+ * Plays sounds in the 3D scene. An AudioListener rides on the camera, so positional sounds are heard from
+ * where the camera is. Sounds are loaded from a bank (name -> files, bus, volume) and played on objects
+ * (positional) or without one (non-positional), through master/sfx/ambience volume buses.
+ *
+ * Browsers only allow audio after a user gesture: the audio context stays suspended until the first
+ * click or key press, and sounds requested before that are skipped.
+ */
+export class AudioManager {
+    /**
+     * Creates the listener on the camera, the volume buses, and the autoplay unlock.
+     * @param {THREE.Camera} camera - The camera the listener is attached to (the controlled camera).
+     */
+    constructor(camera) {
+        /** @type {THREE.AudioListener} The "ears", attached to the camera. */
+        this.listener = new THREE.AudioListener();
+        camera.add(this.listener);
+
+        // Buses: each is a gain node; sfx and ambience feed master, which feeds the listener.
+        const context = this.listener.context;
+        /** @type {Object.<string, GainNode>} Gain node per bus (see AUDIO_BUSES). */
+        this.buses = {};
+        /** @type {Object.<string, number>} Volume set per bus (the gain nodes ramp toward it). */
+        this.busVolumes = {};
+        this.buses[AUDIO_BUSES.MASTER] = context.createGain();
+        this.buses[AUDIO_BUSES.MASTER].connect(this.listener.getInput());
+        [AUDIO_BUSES.SFX, AUDIO_BUSES.AMBIENCE].forEach((bus) => {
+            this.buses[bus] = context.createGain();
+            this.buses[bus].connect(this.buses[AUDIO_BUSES.MASTER]);
+        });
+        Object.entries(AUDIO_CONFIG.BUS_VOLUMES).forEach(([bus, volume]) => this.setBusVolume(bus, volume));
+
+        /** @type {Object.<string, {buffers: Array<AudioBuffer>, bus: string, volume: number, refDistance: number}>} Loaded sounds by name. */
+        this.sounds = {};
+        /** @type {THREE.AudioLoader} Loader for sound files. */
+        this.loader = new THREE.AudioLoader();
+        /** @type {Map<THREE.Object3D|null, Object.<string, Array<THREE.Audio>>>} Voices created per object and sound (null = non-positional). */
+        this.voices = new Map();
+        /** @type {Array<{object: THREE.Object3D, sound: string, minInterval: number, maxInterval: number, timer: number}>} Objects that play a sound every now and then. */
+        this.ambientEmitters = [];
+
+        this.bindUnlock();
+    }
+
+    /**
+     * Resumes the audio context on the first user gesture (browser autoplay policy).
+     */
+    bindUnlock() {
+        const unlock = () => {
+            if (this.listener.context.state === 'suspended') {
+                this.listener.context.resume();
+            }
+            document.removeEventListener('pointerdown', unlock);
+            document.removeEventListener('keydown', unlock);
+        };
+        document.addEventListener('pointerdown', unlock);
+        document.addEventListener('keydown', unlock);
+    }
+
+    /**
+     * Checks whether the browser lets audio play yet.
+     * @returns {boolean} True once the audio context is running.
+     */
+    isUnlocked() {
+        return this.listener.context.state === 'running';
+    }
+
+    /**
+     * Loads a bank of sounds. Missing files (and entries without any) are reported and skipped, so the game runs without them.
+     * @param {Object.<string, {paths: Array<string>, bus?: string, volume?: number, refDistance?: number}>} bank -
+     *   Sounds by name: the file variants (one is picked at random per play), the bus ('sfx' by default),
+     *   a volume (0-1) and an optional full-volume distance for positional playback.
+     */
+    loadBank(bank) {
+        Object.entries(bank).forEach(([name, definition]) => {
+            const sound = {
+                buffers: [],
+                bus: definition.bus || AUDIO_BUSES.SFX,
+                volume: definition.volume ?? 1,
+                refDistance: definition.refDistance ?? AUDIO_CONFIG.REF_DISTANCE,
+            };
+            this.sounds[name] = sound;
+            const paths = definition.paths || [];
+            if (paths.length === 0) console.warn(`AudioManager: sound '${name}' has no files; it won't play.`);
+            paths.forEach((path) => {
+                this.loader.load(
+                    path,
+                    (buffer) => sound.buffers.push(buffer),
+                    undefined,
+                    (error) => console.warn(`AudioManager: could not load '${path}' for sound '${name}'.`, error)
+                );
+            });
+        });
+    }
+
+    /**
+     * Plays a sound, positioned on an object (it follows the object) or non-positional.
+     * @param {string} name - The sound's name in the loaded bank.
+     * @param {THREE.Object3D|null} [object=null] - Object to play the sound on, or null for non-positional playback.
+     * @param {number} [volume=1] - Extra volume factor for this play (e.g. from a landing's fall speed).
+     * @returns {THREE.Audio | null} The playing voice, or null if the sound isn't loaded or audio is still locked.
+     */
+    play(name, object = null, volume = 1) {
+        const sound = this.sounds[name];
+        if (!sound || sound.buffers.length === 0 || !this.isUnlocked()) return null;
+
+        const voice = this.getVoice(name, sound, object);
+        if (voice.isPlaying) voice.stop();
+        voice.setBuffer(sound.buffers[Math.floor(Math.random() * sound.buffers.length)]);
+        voice.setVolume(sound.volume * volume);
+        voice.setPlaybackRate(1 + (Math.random() * 2 - 1) * AUDIO_CONFIG.PITCH_VARIATION);
+        voice.play();
+        return voice;
+    }
+
+    /**
+     * Gets a voice for a sound on an object: a free one if there is one, a new one up to VOICES_PER_EMITTER, else the oldest.
+     * @param {string} name - The sound's name.
+     * @param {{bus: string, refDistance: number}} sound - The loaded sound.
+     * @param {THREE.Object3D|null} object - The object the voice sits on, or null for non-positional.
+     * @returns {THREE.Audio} The voice to play on.
+     */
+    getVoice(name, sound, object) {
+        if (!this.voices.has(object)) this.voices.set(object, {});
+        const voicesBySound = this.voices.get(object);
+        const voices = voicesBySound[name] || (voicesBySound[name] = []);
+
+        const free = voices.find((voice) => !voice.isPlaying);
+        if (free) return free;
+        if (voices.length >= AUDIO_CONFIG.VOICES_PER_EMITTER) {
+            // Reuse the oldest (first) voice and move it to the back.
+            const oldest = voices.shift();
+            voices.push(oldest);
+            return oldest;
+        }
+
+        const voice = object ? new THREE.PositionalAudio(this.listener) : new THREE.Audio(this.listener);
+        if (object) {
+            voice.setRefDistance(sound.refDistance);
+            voice.setRolloffFactor(AUDIO_CONFIG.ROLLOFF_FACTOR);
+            voice.setMaxDistance(AUDIO_CONFIG.MAX_DISTANCE);
+            object.add(voice);
+        }
+        // Route through the sound's bus instead of straight into the listener.
+        voice.gain.disconnect();
+        voice.gain.connect(this.buses[sound.bus] || this.buses[AUDIO_BUSES.SFX]);
+        voices.push(voice);
+        return voice;
+    }
+
+    /**
+     * Makes an object play a sound now and then (e.g. a horse snorting), at random intervals.
+     * @param {THREE.Object3D} object - The object the sound plays on.
+     * @param {string} sound - The sound's name in the loaded bank.
+     * @param {number} minInterval - Shortest time between plays (seconds).
+     * @param {number} maxInterval - Longest time between plays (seconds).
+     */
+    addAmbientEmitter(object, sound, minInterval, maxInterval) {
+        const emitter = { object, sound, minInterval, maxInterval, timer: 0 };
+        this.resetEmitterTimer(emitter);
+        this.ambientEmitters.push(emitter);
+    }
+
+    /**
+     * Picks the time until an ambient emitter plays again.
+     * @param {{minInterval: number, maxInterval: number, timer: number}} emitter - The emitter.
+     */
+    resetEmitterTimer(emitter) {
+        emitter.timer = THREE.MathUtils.randFloat(emitter.minInterval, emitter.maxInterval);
+    }
+
+    /**
+     * Advances ambient emitters. Call once per tick.
+     * @param {number} delta - The time elapsed since the last tick in seconds.
+     */
+    update(delta) {
+        this.ambientEmitters.forEach((emitter) => {
+            emitter.timer -= delta;
+            if (emitter.timer > 0) return;
+            this.play(emitter.sound, emitter.object);
+            this.resetEmitterTimer(emitter);
+        });
+    }
+
+    /**
+     * Sets a bus's volume.
+     * @param {string} bus - One of AUDIO_BUSES.
+     * @param {number} volume - Volume (0-1; higher amplifies).
+     */
+    setBusVolume(bus, volume) {
+        const gain = this.buses[bus];
+        if (!gain) return;
+        this.busVolumes[bus] = volume;
+        // Short ramp to avoid clicks.
+        gain.gain.setTargetAtTime(volume, this.listener.context.currentTime, 0.01);
+    }
+
+    /**
+     * Gets a bus's volume.
+     * @param {string} bus - One of AUDIO_BUSES.
+     * @returns {number} The bus volume, or 0 for an unknown bus.
+     */
+    getBusVolume(bus) {
+        return this.busVolumes[bus] ?? 0;
+    }
+}
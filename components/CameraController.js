@@ -3,21 +3,86 @@ import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
 
 // --- Configuration Constants ---
 // Tunable parameters for the third-person camera behavior.
+
+// Layer that marks objects the camera never collides with (see ignoreObject()). Rendering is unaffected (objects stay on layer 0 too).
+export const CAMERA_IGNORE_LAYER = 1;
+
 const CAMERA_CONFIG = {
-    PITCH_LIMIT_MIN_Y: 2,  // Minimum camera height relative to player pivot. Controls min pitch angle.
-    PITCH_LIMIT_MAX_Y: 8,  // Maximum camera height relative to player pivot. Controls max pitch angle.
-    ZOOM_MIN: 2,         // Minimum distance from player pivot.
-    ZOOM_MAX: 15,        // Maximum distance from player pivot.
-    INITIAL_ZOOM: 6,       // Starting distance from the player.
-    INITIAL_Y_OFFSET: 6,   // Starting height offset (defines initial pitch along with zoom).
-    INITIAL_ROTATION: -1.5,// Initial horizontal rotation angle in radians (approx -86 degrees).
-    SENSITIVITY_X: 0.003,  // Multiplier for horizontal mouse movement affecting rotation.
-    SENSITIVITY_Y: 0.003,  // Multiplier for vertical mouse movement affecting pitch (Y offset).
+    PITCH_MIN_DEG: -20,    // Lowest pitch in degrees (negative = below the pivot, looking up at the player).
+    PITCH_MAX_DEG: 75,     // Highest pitch in degrees (looking down at the player).
+    ZOOM_MIN: 2.5,       // Minimum distance from the pivot.
+    ZOOM_MAX: 18,        // Maximum distance from the pivot.
+    INITIAL_ZOOM: 8.5,     // Starting distance from the pivot.
+    INITIAL_PITCH_DEG: 45, // Starting pitch in degrees.
+    INITIAL_ROTATION: -1.5,// Initial horizontal rotation angle (yaw) in radians (approx -86 degrees).
+    SENSITIVITY_X: 0.003,  // Yaw change (radians) per pixel of horizontal mouse movement.
+    SENSITIVITY_Y: 0.003,  // Pitch change (radians) per pixel of vertical mouse movement.
     ZOOM_SENSITIVITY: 0.1, // Multiplier for mouse wheel scrolling affecting zoom distance. << ADJUSTED SENSITIVITY >>
-    TARGET_OFFSET_Y: 1.0,  // Vertical offset from the player's base position (pivot) where the camera should lookAt.
+    PIVOT_OFFSET: new THREE.Vector3(0, 1.0, 0), // Point the camera orbits and looks at, relative to the player's base position (world axes).
+    COLLISION_RADIUS: 0.3,       // Radius of the sphere cast from the lookAt target toward the camera. Keeps the near plane out of walls.
+    COLLISION_MIN_DISTANCE: 0.5, // Closest the camera is pulled in toward the lookAt target when something blocks it.
+    COLLISION_RETURN_SPEED: 4,   // How fast the camera eases back out once the obstacle is gone (units per second). Pulling in is instant.
+    COLLISION_IGNORE_LAYERS: [CAMERA_IGNORE_LAYER], // Objects on any of these layers never block the camera (e.g. the player, the ridden mount).
+    // Smoothing: roughly how long (seconds) each part of the camera takes to catch up with its target. 0 = rigid.
+    FOLLOW_SMOOTH_TIME: 0.12,   // Orbit centre following the pivot (absorbs landings and step-ups).
+    LOOK_SMOOTH_TIME: 0.08,     // LookAt target following the pivot.
+    ROTATION_SMOOTH_TIME: 0.05, // Orbit rotation and pitch following the mouse.
+    ZOOM_SMOOTH_TIME: 0.15,     // Distance following the mouse wheel and zoom overrides (e.g. mounting).
+    // Over-the-shoulder framing: the pivot shifts sideways so the player sits off-centre, and the camera moves in.
+    SHOULDER_TOGGLE_KEY: 'KeyV', // Key (KeyboardEvent.code) that turns over-the-shoulder framing on and off.
+    SHOULDER_SWAP_KEY: 'KeyQ',   // Key (KeyboardEvent.code) that swaps between the right and left shoulder.
+    SHOULDER_OFFSET: 0.7,        // Sideways shift of the pivot toward the active shoulder (units).
+    SHOULDER_ZOOM: 3.5,          // Camera distance in shoulder framing (the wheel zoom still applies if it is closer).
+    SHOULDER_WALL_MARGIN: 0.3,   // Extra room needed beyond SHOULDER_OFFSET on the active side; closer walls swap shoulders (or recentre if both sides are blocked).
+    SHOULDER_SMOOTH_TIME: 0.2,   // Roughly how long (seconds) entering, leaving and swapping shoulders takes.
+    // Auto-recenter: while the player moves, the camera swings around behind them.
+    AUTO_RECENTER: false,        // Off by default, keeping the camera where the mouse left it; T toggles (see setAutoRecenter()).
+    RECENTER_TOGGLE_KEY: 'KeyT', // Key (KeyboardEvent.code) that turns auto-recenter on and off.
+    RECENTER_KEY: 'KeyR',        // Key (KeyboardEvent.code) that puts the camera behind the player at once.
+    RECENTER_DELAY_MS: 1500,     // Time after the last manual orbit (mouse drag) before auto-recenter kicks in (milliseconds).
+    RECENTER_SPEED_DEG: 90,      // Max speed the camera swings around at (degrees per second).
+    RECENTER_MIN_SPEED: 0.5,     // The player must move at least this fast (units per second) for the camera to swing.
+    RECENTER_MAX_ANGLE_DEG: 150, // No swinging when the player faces more than this far from the camera's direction (running toward the camera).
 };
 // --- End Configuration ---
 
+/**
+ * Moves a value toward a target with a critically damped spring: it arrives in about `smoothTime` seconds without
+ * overshooting, the same way whatever the frame rate (Game Programming Gems 4, "Critically Damped Ease-In/Ease-Out Smoothing").
+ * @param {number} current - The current value.
+ * @param {number} target - The value to move toward.
+ * @param {number} velocity - The current rate of change (returned updated; keep it between calls).
+ * @param {number} smoothTime - Roughly the time to reach the target in seconds (0 = jump straight there).
+ * @param {number} delta - The time elapsed since the last frame in seconds.
+ * @returns {[number, number]} The new value and velocity.
+ */
+function smoothDamp(current, target, velocity, smoothTime, delta) {
+    if (smoothTime <= 0) return [target, 0];
+    const omega = 2 / smoothTime;
+    const x = omega * delta;
+    // Approximation of exp(-x) that stays stable for large steps.
+    const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+    const change = current - target;
+    const temp = (velocity + omega * change) * delta;
+    return [target + (change + temp) * decay, (velocity - omega * temp) * decay];
+}
+
+/**
+ * smoothDamp() for each component of a vector.
+ * @param {THREE.Vector3} current - The current vector. Modified in place.
+ * @param {THREE.Vector3} target - The vector to move toward.
+ * @param {THREE.Vector3} velocity - The current rate of change. Modified in place.
+ * @param {number} smoothTime - Roughly the time to reach the target in seconds.
+ * @param {number} delta - The time elapsed since the last frame in seconds.
+ * @returns {THREE.Vector3} The current vector.
+ */
+function smoothDampVector(current, target, velocity, smoothTime, delta) {
+    ['x', 'y', 'z'].forEach((axis) => {
+        [current[axis], velocity[axis]] = smoothDamp(current[axis], target[axis], velocity[axis], smoothTime, delta);
+    });
+    return current;
+}
+
 /**
  * Manages the third-person camera system.
  * Updates the camera's position and orientation based on player position,
@@ -37,31 +102,395 @@ export class CameraController {
         /** @type {THREE.Object3D | null} Reference to the player object the camera should follow. */
         this.player = null; // Set via setPlayer()
 
-        /** @type {number} Current horizontal rotation angle around the player (radians). */
+        // The camera sits on a sphere around the pivot: yaw (rotationAngle) around it, pitch above (or below) it, zoomDistance away.
+        /** @type {number} Current horizontal rotation angle (yaw) around the pivot (radians). */
         this.rotationAngle = CAMERA_CONFIG.INITIAL_ROTATION;
-        /** @type {number} Current zoom distance from the player's pivot point. */
+        /** @type {number} Current pitch above the pivot's horizontal plane (radians, negative = below). */
+        this.pitch = THREE.MathUtils.degToRad(CAMERA_CONFIG.INITIAL_PITCH_DEG);
+        /** @type {number} Current distance from the pivot. */
         this.zoomDistance = CAMERA_CONFIG.INITIAL_ZOOM;
-        /** @type {number} Current vertical offset of the camera from the player's pivot point (controls pitch). */
-        this.yOffset = CAMERA_CONFIG.INITIAL_Y_OFFSET;
 
-        /** @type {THREE.Vector3} Offset from player position for the camera's lookAt target. */
-        this.cameraTargetOffset = new THREE.Vector3(0, CAMERA_CONFIG.TARGET_OFFSET_Y, 0);
+        /** @type {number | null} Zoom distance saved while a zoom override (e.g. riding) is active. */
+        this.savedZoom = null;
+
+        /** @type {THREE.Vector3} Offset from player position to the pivot (the point orbited and looked at). */
+        this.cameraTargetOffset = CAMERA_CONFIG.PIVOT_OFFSET.clone();
+
+        /** @type {CollisionSystem | null} Collision world the camera avoids clipping into. Set via setCollisionSystem(). */
+        this.collisionSystem = null;
+        /** @type {THREE.Layers} Objects sharing any of these layers are not obstacles (COLLISION_IGNORE_LAYERS). */
+        this.ignoreLayers = new THREE.Layers();
+        this.ignoreLayers.disableAll();
+        CAMERA_CONFIG.COLLISION_IGNORE_LAYERS.forEach((layer) => this.ignoreLayers.enable(layer));
+        /** @type {number | null} Distance from the lookAt target while pulled in by an obstacle (easing back out); null when unobstructed. */
+        this.collisionDistance = null;
+        /** @type {function(THREE.Object3D): boolean} Sphere cast filter: false for objects on an ignored layer. */
+        this.collisionFilter = (object) => !this.ignoreLayers.test(object.layers);
+
+        /** @type {boolean} Whether over-the-shoulder framing is on (SHOULDER_TOGGLE_KEY or setShoulderMode()). */
+        this.shoulderMode = false;
+        /** @type {number} Active shoulder: 1 = right, -1 = left. Kept while the mode is off. */
+        this.shoulderSide = 1;
+        /** @type {number} Where the pivot is shifting to this frame: the active side, or 0 (centred) when the mode is off or both sides are blocked. */
+        this.shoulderTarget = 0;
+
+        /** @type {THREE.Vector3} Forward vector of the player model in its file, to work out which way the player faces. Set via setPlayer(). */
+        this.playerForwardDirection = new THREE.Vector3(0, 0, 1);
+        /** @type {boolean} Whether the camera swings behind the moving player (AUTO_RECENTER, setAutoRecenter()). */
+        this.autoRecenter = CAMERA_CONFIG.AUTO_RECENTER;
+        /** @type {number} Remaining time (sec) after a manual orbit before auto-recenter may swing the camera. */
+        this.recenterTimer = 0;
+        /** @type {THREE.Vector3 | null} Player position at the last update, to measure how fast they move. */
+        this.lastPlayerPosition = null;
+
+        // Smoothed state: what is actually shown. rotationAngle, pitch, zoomDistance and the pivot are its targets.
+        // shoulderSide runs from -1 (left) to 1 (right); shoulderBlend from 0 (normal framing) to 1 (shoulder framing).
+        /** @type {{rotationAngle: number, pitch: number, zoomDistance: number, shoulderSide: number, shoulderBlend: number, follow: THREE.Vector3, look: THREE.Vector3}} Smoothed camera state. */
+        this.smoothed = {
+            rotationAngle: this.rotationAngle,
+            pitch: this.pitch,
+            zoomDistance: this.zoomDistance,
+            shoulderSide: 0,
+            shoulderBlend: 0,
+            follow: new THREE.Vector3(),
+            look: new THREE.Vector3(),
+        };
+        /** @type {{rotationAngle: number, pitch: number, zoomDistance: number, shoulderSide: number, shoulderBlend: number, follow: THREE.Vector3, look: THREE.Vector3}} Rates of change of the smoothed state. */
+        this.smoothVelocity = {
+            rotationAngle: 0,
+            pitch: 0,
+            zoomDistance: 0,
+            shoulderSide: 0,
+            shoulderBlend: 0,
+            follow: new THREE.Vector3(),
+            look: new THREE.Vector3(),
+        };
+        /** @type {boolean} Whether the next update jumps straight to the targets (set until the first update, and by snap()). */
+        this.needsSnap = true;
     }
 
     /**
      * Sets the player object for the camera to follow.
+     * The player never blocks the camera; a previous player becomes an obstacle again.
      * @param {THREE.Object3D} player - The player's 3D model.
+     * @param {THREE.Vector3} [forwardDirection] - Forward vector of the model in its file (PlayerController's MODEL_FORWARD_DIRECTION). Defaults to +Z.
      */
-    setPlayer(player) {
+    setPlayer(player, forwardDirection = new THREE.Vector3(0, 0, 1)) {
+        if (this.player) this.unignoreObject(this.player);
         this.player = player;
+        this.playerForwardDirection.copy(forwardDirection);
+        this.lastPlayerPosition = null;
+        this.ignoreObject(player);
+    }
+
+    /**
+     * Makes the next update jump straight to the targets instead of smoothing toward them (e.g. after a teleport).
+     */
+    snap() {
+        this.needsSnap = true;
+    }
+
+    /**
+     * Advances the smoothed camera state toward its targets.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    updateSmoothing(delta) {
+        const smoothed = this.smoothed;
+        const velocity = this.smoothVelocity;
+        const pivot = this.player.position.clone().add(this.cameraTargetOffset);
+
+        if (this.needsSnap) {
+            smoothed.rotationAngle = this.rotationAngle;
+            smoothed.pitch = this.pitch;
+            smoothed.zoomDistance = this.zoomDistance;
+            smoothed.shoulderSide = this.shoulderTarget;
+            smoothed.shoulderBlend = this.shoulderMode ? 1 : 0;
+            smoothed.follow.copy(pivot);
+            smoothed.look.copy(pivot);
+            velocity.rotationAngle = velocity.pitch = velocity.zoomDistance = velocity.shoulderSide = velocity.shoulderBlend = 0;
+            velocity.follow.set(0, 0, 0);
+            velocity.look.set(0, 0, 0);
+            this.needsSnap = false;
+            return;
+        }
+
+        [smoothed.rotationAngle, velocity.rotationAngle] = smoothDamp(
+            smoothed.rotationAngle, this.rotationAngle, velocity.rotationAngle, CAMERA_CONFIG.ROTATION_SMOOTH_TIME, delta
+        );
+        [smoothed.pitch, velocity.pitch] = smoothDamp(
+            smoothed.pitch, this.pitch, velocity.pitch, CAMERA_CONFIG.ROTATION_SMOOTH_TIME, delta
+        );
+        [smoothed.zoomDistance, velocity.zoomDistance] = smoothDamp(
+            smoothed.zoomDistance, this.zoomDistance, velocity.zoomDistance, CAMERA_CONFIG.ZOOM_SMOOTH_TIME, delta
+        );
+        [smoothed.shoulderSide, velocity.shoulderSide] = smoothDamp(
+            smoothed.shoulderSide, this.shoulderTarget, velocity.shoulderSide, CAMERA_CONFIG.SHOULDER_SMOOTH_TIME, delta
+        );
+        [smoothed.shoulderBlend, velocity.shoulderBlend] = smoothDamp(
+            smoothed.shoulderBlend, this.shoulderMode ? 1 : 0, velocity.shoulderBlend, CAMERA_CONFIG.SHOULDER_SMOOTH_TIME, delta
+        );
+        smoothDampVector(smoothed.follow, pivot, velocity.follow, CAMERA_CONFIG.FOLLOW_SMOOTH_TIME, delta);
+        smoothDampVector(smoothed.look, pivot, velocity.look, CAMERA_CONFIG.LOOK_SMOOTH_TIME, delta);
+    }
+
+    /**
+     * Sets the collision world the camera is kept out of.
+     * @param {CollisionSystem} collisionSystem - The game's collision system.
+     */
+    setCollisionSystem(collisionSystem) {
+        this.collisionSystem = collisionSystem;
+    }
+
+    /**
+     * Stops an object (and all its children) from blocking the camera, by putting it on CAMERA_IGNORE_LAYER.
+     * @param {THREE.Object3D} object - The object to ignore (e.g. the ridden mount).
+     */
+    ignoreObject(object) {
+        object.traverse((child) => child.layers.enable(CAMERA_IGNORE_LAYER));
+    }
+
+    /**
+     * Lets an object block the camera again (see ignoreObject()).
+     * @param {THREE.Object3D} object - The object to stop ignoring.
+     */
+    unignoreObject(object) {
+        object.traverse((child) => child.layers.disable(CAMERA_IGNORE_LAYER));
+    }
+
+    /**
+     * Gets the direction the camera looks in, flattened onto the horizontal plane.
+     * Used to face the player the same way as the camera (e.g. aim/strafe mode).
+     * @returns {THREE.Vector3} Normalized forward vector on the XZ plane.
+     */
+    getForward() {
+        // The camera sits at (sin, cos) * horizontal distance from the pivot, so it looks the opposite way.
+        // The target rotation is used, so aiming doesn't lag behind the smoothed view.
+        return new THREE.Vector3(-Math.sin(this.rotationAngle), 0, -Math.cos(this.rotationAngle));
+    }
+
+    /**
+     * Gets the camera's horizontal right direction (the side the right shoulder is on).
+     * @returns {THREE.Vector3} Normalized right vector on the XZ plane.
+     */
+    getRight() {
+        // forward x up, with forward = (-sin, 0, -cos).
+        return new THREE.Vector3(Math.cos(this.rotationAngle), 0, -Math.sin(this.rotationAngle));
+    }
+
+    /**
+     * Turns over-the-shoulder framing on or off. The camera moves between framings smoothly.
+     * @param {boolean} enabled - True for shoulder framing, false for the normal centred framing.
+     */
+    setShoulderMode(enabled) {
+        this.shoulderMode = enabled;
+    }
+
+    /**
+     * Checks whether over-the-shoulder framing is on.
+     * @returns {boolean} True if shoulder framing is on.
+     */
+    isShoulderMode() {
+        return this.shoulderMode;
+    }
+
+    /**
+     * Swaps to the other shoulder (also remembered while shoulder framing is off).
+     */
+    swapShoulder() {
+        this.shoulderSide = -this.shoulderSide;
+    }
+
+    /**
+     * Checks whether a wall (or anything else that blocks the camera) is too close to shift the pivot toward a side.
+     * @param {number} side - 1 for the right shoulder, -1 for the left.
+     * @returns {boolean} True if the side is blocked.
+     */
+    isShoulderBlocked(side) {
+        if (!this.collisionSystem) return false;
+        const pivot = this.player.position.clone().add(this.cameraTargetOffset);
+        return this.collisionSystem.sphereCast(
+            pivot,
+            this.getRight().multiplyScalar(side),
+            CAMERA_CONFIG.SHOULDER_OFFSET + CAMERA_CONFIG.SHOULDER_WALL_MARGIN,
+            CAMERA_CONFIG.COLLISION_RADIUS,
+            this.collisionFilter
+        ) !== null;
+    }
+
+    /**
+     * Handles the shoulder keys and picks the side the pivot shifts to this frame (shoulderTarget).
+     * When the active side is blocked the camera swaps to the other shoulder, or recentres if both are blocked.
+     */
+    updateShoulder() {
+        if (this.inputManager.consumeKeyPress(CAMERA_CONFIG.SHOULDER_TOGGLE_KEY)) {
+            this.setShoulderMode(!this.shoulderMode);
+        }
+        if (this.inputManager.consumeKeyPress(CAMERA_CONFIG.SHOULDER_SWAP_KEY)) {
+            this.swapShoulder();
+        }
+
+        if (!this.shoulderMode) {
+            this.shoulderTarget = 0;
+        } else if (!this.isShoulderBlocked(this.shoulderSide)) {
+            this.shoulderTarget = this.shoulderSide;
+        } else if (!this.isShoulderBlocked(-this.shoulderSide)) {
+            // Wall on the active side: move over to the free shoulder and stay there.
+            this.swapShoulder();
+            this.shoulderTarget = this.shoulderSide;
+        } else {
+            // Tight corridor: centre until there is room again.
+            this.shoulderTarget = 0;
+        }
+    }
+
+    /**
+     * Turns auto-recenter on or off: while on, the camera swings behind the moving player once the mouse
+     * has been left alone for RECENTER_DELAY_MS.
+     * @param {boolean} enabled - True to follow the player's facing.
+     */
+    setAutoRecenter(enabled) {
+        this.autoRecenter = enabled;
+    }
+
+    /**
+     * Gets the yaw that puts the camera straight behind the player's facing.
+     * @returns {number | null} The yaw (radians, within half a turn of rotationAngle), or null if the facing is vertical.
+     */
+    getYawBehindPlayer() {
+        const facing = this.playerForwardDirection.clone().applyQuaternion(this.player.quaternion).setY(0);
+        if (facing.lengthSq() < 1e-6) return null;
+        // The camera looks along (-sin, -cos) (see getForward()), so behind the player means looking along the facing.
+        const yaw = Math.atan2(-facing.x, -facing.z);
+        // Shortest way round, so the (unwrapped) rotation and its smoothing don't spin a full turn.
+        const difference = Math.atan2(Math.sin(yaw - this.rotationAngle), Math.cos(yaw - this.rotationAngle));
+        return this.rotationAngle + difference;
+    }
+
+    /**
+     * Puts the camera behind the player at once (RECENTER_KEY), skipping the rotation smoothing.
+     */
+    recenter() {
+        const yaw = this.getYawBehindPlayer();
+        if (yaw === null) return;
+        this.rotationAngle = yaw;
+        this.smoothed.rotationAngle = yaw;
+        this.smoothVelocity.rotationAngle = 0;
+    }
+
+    /**
+     * Handles the recenter keys (toggle and snap). With auto-recenter on, swings the camera toward the player's back
+     * while they move, unless the mouse orbited the camera within RECENTER_DELAY_MS or the player runs toward the camera.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    updateRecenter(delta) {
+        if (this.inputManager.consumeKeyPress(CAMERA_CONFIG.RECENTER_TOGGLE_KEY)) {
+            this.setAutoRecenter(!this.autoRecenter);
+        }
+        if (this.inputManager.consumeKeyPress(CAMERA_CONFIG.RECENTER_KEY)) {
+            this.recenter();
+        }
+
+        // How fast the player moves horizontally.
+        const position = this.player.position;
+        const speed = this.lastPlayerPosition && delta > 0
+            ? Math.hypot(position.x - this.lastPlayerPosition.x, position.z - this.lastPlayerPosition.z) / delta
+            : 0;
+        this.lastPlayerPosition = (this.lastPlayerPosition || new THREE.Vector3()).copy(position);
+
+        this.recenterTimer = Math.max(0, this.recenterTimer - delta);
+        if (!this.autoRecenter || this.recenterTimer > 0 || speed < CAMERA_CONFIG.RECENTER_MIN_SPEED) return;
+
+        const yaw = this.getYawBehindPlayer();
+        if (yaw === null) return;
+        const difference = yaw - this.rotationAngle;
+        if (Math.abs(difference) > THREE.MathUtils.degToRad(CAMERA_CONFIG.RECENTER_MAX_ANGLE_DEG)) return;
+        const maxStep = THREE.MathUtils.degToRad(CAMERA_CONFIG.RECENTER_SPEED_DEG) * delta;
+        this.rotationAngle += THREE.MathUtils.clamp(difference, -maxStep, maxStep);
+    }
+
+    /**
+     * Temporarily sets the zoom distance (e.g. pulled back while riding a mount); the pitch is kept.
+     * The previous zoom is restored by clearZoomOverride(). The mouse wheel keeps working meanwhile,
+     * and its changes also apply to the restored zoom.
+     * @param {number} distance - The zoom distance to use.
+     */
+    setZoomOverride(distance) {
+        // Only save the original zoom once, so nested overrides restore the player's own zoom.
+        if (this.savedZoom === null) {
+            this.savedZoom = this.zoomDistance;
+        }
+        this.zoomDistance = distance;
+    }
+
+    /**
+     * Restores the zoom that was active before setZoomOverride() was called.
+     */
+    clearZoomOverride() {
+        if (this.savedZoom === null) return;
+        this.zoomDistance = this.savedZoom;
+        this.savedZoom = null;
+    }
+
+    /**
+     * Temporarily changes the height of the pivot above the player's feet
+     * (e.g. up at the ledge while hanging). Restored by clearTargetHeightOverride().
+     * @param {number} height - Height of the pivot above the player's position.
+     */
+    setTargetHeightOverride(height) {
+        this.cameraTargetOffset.y = height;
+    }
+
+    /**
+     * Restores the default pivot height (PIVOT_OFFSET.y).
+     */
+    clearTargetHeightOverride() {
+        this.cameraTargetOffset.y = CAMERA_CONFIG.PIVOT_OFFSET.y;
+    }
+
+    /**
+     * Keeps the camera from clipping into geometry: sweeps a sphere from the lookAt target toward the
+     * desired camera position and pulls the camera in to where it is blocked. Once the obstacle is gone,
+     * the camera eases back out at COLLISION_RETURN_SPEED.
+     * @param {THREE.Vector3} target - The lookAt target.
+     * @param {THREE.Vector3} desiredPosition - Where the camera would be without obstacles. Modified in place.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @returns {THREE.Vector3} The camera position to use (desiredPosition).
+     */
+    resolveCollision(target, desiredPosition, delta) {
+        if (!this.collisionSystem) return desiredPosition;
+
+        const toCamera = desiredPosition.clone().sub(target);
+        const desiredDistance = toCamera.length();
+        if (desiredDistance < 1e-6) return desiredPosition;
+        toCamera.divideScalar(desiredDistance);
+
+        // How far the camera can go before touching something that isn't ignored.
+        const hit = this.collisionSystem.sphereCast(
+            target,
+            toCamera,
+            desiredDistance,
+            CAMERA_CONFIG.COLLISION_RADIUS,
+            this.collisionFilter
+        );
+        const allowed = hit ? Math.max(CAMERA_CONFIG.COLLISION_MIN_DISTANCE, hit.distance) : desiredDistance;
+
+        // Pull in at once, ease back out.
+        const current = this.collisionDistance ?? desiredDistance;
+        const distance = Math.min(allowed, current + CAMERA_CONFIG.COLLISION_RETURN_SPEED * delta);
+        this.collisionDistance = distance < desiredDistance ? distance : null;
+        return desiredPosition.copy(target).addScaledVector(toCamera, distance);
     }
 
     /**
      * Updates the camera's position and lookAt target based on input and player position.
-     * This version implements proportional zoom for distance and height.
-     * Does NOT use delta time smoothing.
+     * The camera orbits the pivot on a sphere: the mouse changes yaw and pitch (angles only),
+     * the wheel changes the distance only. In shoulder framing the pivot is shifted sideways,
+     * and with auto-recenter the yaw swings behind the moving player.
+     * The camera follows these targets (and the player)
+     * with critically damped smoothing (the *_SMOOTH_TIME settings).
+     * @param {number} delta - The time elapsed since the last frame in seconds.
      */
-    update() {
+    update(delta) {
         // If no player is set yet, do nothing.
         if (!this.player) return;
 
@@ -70,67 +499,83 @@ export class CameraController {
 
         // --- Update Camera State based on Input ---
 
-        // Rotation (Horizontal Orbit) - Adjust based on mouse X movement.
         if (mouseDown.right || (mouseDown.left && isCanvasActive)) {
+            // Manual orbiting holds off auto-recenter for a while.
+            if (mouseDeltaX !== 0 || mouseDeltaY !== 0) {
+                this.recenterTimer = CAMERA_CONFIG.RECENTER_DELAY_MS / 1000;
+            }
+            // Yaw (Horizontal Orbit) - Adjust based on mouse X movement.
             this.rotationAngle -= mouseDeltaX * CAMERA_CONFIG.SENSITIVITY_X;
-        }
-
-        // Pitch (Vertical Orbit) - Adjust the Y-offset based ONLY on mouse Y movement.
-        if (mouseDown.right || (mouseDown.left && isCanvasActive)) {
-            this.yOffset += mouseDeltaY * CAMERA_CONFIG.SENSITIVITY_Y * 2;
-            // Clamp the Y-offset here after mouse movement adjustment.
-            this.yOffset = THREE.MathUtils.clamp(
-                this.yOffset,
-                CAMERA_CONFIG.PITCH_LIMIT_MIN_Y,
-                CAMERA_CONFIG.PITCH_LIMIT_MAX_Y
+            // Pitch (Vertical Orbit) - Adjust based on mouse Y movement, within the pitch limits.
+            this.pitch = THREE.MathUtils.clamp(
+                this.pitch + mouseDeltaY * CAMERA_CONFIG.SENSITIVITY_Y,
+                THREE.MathUtils.degToRad(CAMERA_CONFIG.PITCH_MIN_DEG),
+                THREE.MathUtils.degToRad(CAMERA_CONFIG.PITCH_MAX_DEG)
             );
         }
 
-        // Zoom - Adjust distance AND Y-offset proportionally based on mouse wheel scroll delta.
+        // Zoom - Adjust the distance only, based on mouse wheel scroll delta.
         if (zoomDelta !== 0) {
-            // Calculate zoom factor. A positive zoomDelta (scroll down/away) should increase distance.
-            // Use a structure similar to the user's snippet: 1 + delta * sensitivity
+            // A positive zoomDelta (scroll down/away) increases the distance.
             // NOTE: Ensure InputManager's zoomDelta has the correct sign for your desired scroll direction.
-            // Assuming positive zoomDelta = zoom out:
             const zoomFactor = 1.0 + zoomDelta * CAMERA_CONFIG.ZOOM_SENSITIVITY;
-
-            // Apply zoom factor to both distance and height offset to maintain angle.
-            this.zoomDistance *= zoomFactor;
-            this.yOffset *= zoomFactor; // <<<< KEY CHANGE: Scale Y offset proportionally
-
-            // Clamp the zoom distance *after* scaling.
-            this.zoomDistance = Math.max(CAMERA_CONFIG.ZOOM_MIN, Math.min(CAMERA_CONFIG.ZOOM_MAX, this.zoomDistance));
-            // Clamp the Y-offset *after* scaling to ensure it stays within pitch limits.
-            this.yOffset = THREE.MathUtils.clamp(
-                this.yOffset,
-                CAMERA_CONFIG.PITCH_LIMIT_MIN_Y,
-                CAMERA_CONFIG.PITCH_LIMIT_MAX_Y
+            this.zoomDistance = THREE.MathUtils.clamp(
+                this.zoomDistance * zoomFactor,
+                CAMERA_CONFIG.ZOOM_MIN,
+                CAMERA_CONFIG.ZOOM_MAX
             );
+            // During a zoom override, scale the zoom that will be restored the same way.
+            if (this.savedZoom !== null) {
+                this.savedZoom = THREE.MathUtils.clamp(
+                    this.savedZoom * zoomFactor,
+                    CAMERA_CONFIG.ZOOM_MIN,
+                    CAMERA_CONFIG.ZOOM_MAX
+                );
+            }
         }
 
 
+        // Auto-recenter behind the moving player, and the recenter key.
+        this.updateRecenter(delta);
+
+        // Shoulder framing: toggle/swap keys and walls on the active side.
+        this.updateShoulder();
+
+
+        // --- Smooth toward the new targets ---
+        this.updateSmoothing(delta);
+        const smoothed = this.smoothed;
+
+
         // --- Calculate Final Camera Position ---
-        // Start with the player's current world position.
-        const cameraPosition = this.player.position.clone();
+        // Shoulder framing shifts the pivot sideways (along the smoothed camera right) and moves the camera in.
+        const lateralOffset = new THREE.Vector3(Math.cos(smoothed.rotationAngle), 0, -Math.sin(smoothed.rotationAngle))
+            .multiplyScalar(smoothed.shoulderSide * CAMERA_CONFIG.SHOULDER_OFFSET);
+        const distance = THREE.MathUtils.lerp(
+            smoothed.zoomDistance,
+            Math.min(smoothed.zoomDistance, CAMERA_CONFIG.SHOULDER_ZOOM),
+            smoothed.shoulderBlend
+        );
 
-        // Calculate the horizontal offset based on rotation angle and zoom distance.
-        const horizontalOffsetX = this.zoomDistance * Math.sin(this.rotationAngle);
-        const horizontalOffsetZ = this.zoomDistance * Math.cos(this.rotationAngle);
+        // Spherical offset from the (smoothed) pivot: yaw around it, pitch above it, `distance` away.
+        const horizontalDistance = distance * Math.cos(smoothed.pitch);
+        const cameraPosition = smoothed.follow.clone().add(lateralOffset).add(new THREE.Vector3(
+            horizontalDistance * Math.sin(smoothed.rotationAngle),
+            distance * Math.sin(smoothed.pitch),
+            horizontalDistance * Math.cos(smoothed.rotationAngle)
+        ));
 
-        // Add the horizontal offset to the player's position.
-        cameraPosition.x += horizontalOffsetX;
-        cameraPosition.z += horizontalOffsetZ;
+        // The point the camera looks at (the smoothed pivot, shifted to the shoulder).
+        const lookAtTarget = smoothed.look.clone().add(lateralOffset);
 
-        // Add the calculated vertical offset (which now reflects both pitch input and zoom scaling).
-        cameraPosition.y += this.yOffset;
+        // Pull the camera in front of anything between it and the target.
+        this.resolveCollision(lookAtTarget, cameraPosition, delta);
 
         // Set the camera's final calculated position.
         this.camera.position.copy(cameraPosition);
 
 
         // --- Update LookAt ---
-        // Calculate the point the camera should look at.
-        const lookAtTarget = this.player.position.clone().add(this.cameraTargetOffset);
         // Make the camera look at the calculated target point.
         this.camera.lookAt(lookAtTarget);
 
@@ -0,0 +1,402 @@
+// CollisionSystem.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// --- Configuration Constants ---
+// Tunable parameters for collision detection and resolution.
+const COLLISION_CONFIG = {
+    MAX_STEP_FRACTION: 0.5,   // Max distance moved per sweep sub-step, as a fraction of the capsule radius. Prevents tunneling.
+    MAX_SUB_STEPS: 16,        // Upper bound on sweep sub-steps per move (guards against huge deltas).
+    RESOLVE_ITERATIONS: 3,    // Penetration resolution passes per sub-step (handles corners between colliders).
+    SKIN_WIDTH: 0.001,        // Extra distance added when pushing out, so surfaces don't stay in exact contact.
+};
+
+// Direction used for ground probes (straight down).
+const DOWN = new THREE.Vector3(0, -1, 0);
+// Normal reported for hits on top of collider boxes.
+const UP = new THREE.Vector3(0, 1, 0);
+// --- End Configuration ---
+
+/**
+ * A simple collision world made of axis-aligned bounding boxes and walkable ground meshes.
+ * Models are registered as colliders (usually via the `collider` flag in their ModelLoader config),
+ * and a vertical capsule (the player) can be swept through them. Penetrations are resolved by
+ * pushing the capsule out along the contact normal, which makes it slide along walls.
+ * Ground meshes (the `ground` flag) can be probed with downward raycasts to find the floor under the player.
+ */
+export class CollisionSystem {
+    /**
+     * Initializes an empty collision world.
+     */
+    constructor() {
+        /** @type {Array<{object: THREE.Object3D, box: THREE.Box3, options: object}>} All registered colliders. */
+        this.colliders = [];
+        /** @type {Array<THREE.Object3D>} Objects whose meshes can be stood on (probed by raycasting). */
+        this.groundObjects = [];
+        /** @type {THREE.Raycaster} Reused raycaster for ground probes. */
+        this.raycaster = new THREE.Raycaster();
+    }
+
+    /**
+     * Registers an object as a collider.
+     * @param {THREE.Object3D} object - The object (usually a loaded model) to collide with.
+     * @param {boolean|object} [options=true] - `true` to use the object's bounding box, or an options object.
+     * @param {{x: number, y: number, z: number}} [options.size] - Explicit box size, centred on the object's XZ position and resting on its Y position. Useful for skinned models whose geometry bounds don't match the rendered pose.
+     * @param {number} [options.padding=0] - Grows (positive) or shrinks (negative) the box on every side.
+     * @param {boolean} [options.isStatic=true] - Static colliders compute their box once; dynamic ones are refreshed by updateColliders().
+     * @returns {object} The created collider entry.
+     */
+    addCollider(object, options = true) {
+        // Allow the plain `collider: true` flag from model configs.
+        const colliderOptions = typeof options === 'object' ? options : {};
+        const collider = {
+            object,
+            box: new THREE.Box3(),
+            options: { padding: 0, isStatic: true, ...colliderOptions },
+        };
+        this.computeColliderBox(collider);
+        this.colliders.push(collider);
+        return collider;
+    }
+
+    /**
+     * Removes all collider entries belonging to the given object.
+     * @param {THREE.Object3D} object - The object that was previously registered.
+     */
+    removeCollider(object) {
+        this.colliders = this.colliders.filter((collider) => collider.object !== object);
+    }
+
+    /**
+     * Registers an object whose meshes can be walked on. Ground probes raycast against these.
+     * @param {THREE.Object3D} object - The object (mesh or group) to treat as walkable ground.
+     */
+    addGround(object) {
+        this.groundObjects.push(object);
+    }
+
+    /**
+     * Removes an object from the walkable ground list.
+     * @param {THREE.Object3D} object - The object that was previously registered.
+     */
+    removeGround(object) {
+        this.groundObjects = this.groundObjects.filter((ground) => ground !== object);
+    }
+
+    /**
+     * Casts a ray straight down to find the floor below a point.
+     * Tests ground meshes (exact triangles) and the top faces of collider boxes below the origin.
+     * @param {THREE.Vector3} origin - Where the probe starts (usually a bit above the player's feet).
+     * @param {number} maxDistance - How far down to search.
+     * @param {function(object): boolean} [filter] - Optional predicate; collider boxes returning false are ignored (e.g. a mount's own collider).
+     * @returns {{point: THREE.Vector3, normal: THREE.Vector3, distance: number, object: THREE.Object3D}|null} The nearest hit, or null if nothing is below within range.
+     */
+    probeGround(origin, maxDistance, filter) {
+        let nearest = null;
+
+        // Ground meshes: exact raycast against their triangles.
+        this.raycaster.set(origin, DOWN);
+        this.raycaster.far = maxDistance;
+        const hits = this.raycaster.intersectObjects(this.groundObjects, true);
+        if (hits.length > 0) {
+            const hit = hits[0];
+            // Face normals are in local space; bring them into world space.
+            const normal = hit.face
+                ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+                : UP.clone();
+            nearest = { point: hit.point, normal, distance: hit.distance, object: hit.object };
+        }
+
+        // Collider boxes: the top face counts as ground if the origin is above it and inside its XZ footprint.
+        this.colliders.forEach((collider) => {
+            const { object, box } = collider;
+            if (filter && !filter(collider)) return;
+            if (box.max.y > origin.y) return;
+            if (origin.x < box.min.x || origin.x > box.max.x || origin.z < box.min.z || origin.z > box.max.z) return;
+            const distance = origin.y - box.max.y;
+            if (distance > maxDistance || (nearest && distance >= nearest.distance)) return;
+            nearest = {
+                point: new THREE.Vector3(origin.x, box.max.y, origin.z),
+                normal: UP.clone(),
+                distance,
+                object,
+            };
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Casts a ray in any direction against ground meshes and collider boxes (e.g. to find a wall in front of the player).
+     * Boxes the ray starts inside are ignored.
+     * @param {THREE.Vector3} origin - Where the ray starts.
+     * @param {THREE.Vector3} direction - Normalized ray direction.
+     * @param {number} maxDistance - How far to search.
+     * @param {function(object): boolean} [filter] - Optional predicate; collider boxes returning false are ignored.
+     * @returns {{point: THREE.Vector3, normal: THREE.Vector3, distance: number, object: THREE.Object3D}|null} The nearest hit, or null if nothing is within range.
+     */
+    raycast(origin, direction, maxDistance, filter) {
+        let nearest = null;
+
+        // Ground meshes: exact raycast against their triangles.
+        this.raycaster.set(origin, direction);
+        this.raycaster.far = maxDistance;
+        const hits = this.raycaster.intersectObjects(this.groundObjects, true);
+        if (hits.length > 0) {
+            const hit = hits[0];
+            const normal = hit.face
+                ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+                : direction.clone().negate();
+            nearest = { point: hit.point, normal, distance: hit.distance, object: hit.object };
+        }
+
+        // Collider boxes: the normal is that of the face the ray enters through.
+        const ray = new THREE.Ray(origin, direction);
+        this.colliders.forEach((collider) => {
+            const { object, box } = collider;
+            if (filter && !filter(collider)) return;
+            if (box.containsPoint(origin)) return;
+            const point = ray.intersectBox(box, new THREE.Vector3());
+            if (!point) return;
+            const distance = point.distanceTo(origin);
+            if (distance > maxDistance || (nearest && distance >= nearest.distance)) return;
+            nearest = { point, normal: this.boxFaceNormal(box, point), distance, object };
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Sweeps a sphere along a ray against ground meshes and collider boxes (e.g. to keep the camera out of walls).
+     * Boxes are grown by the radius and hit exactly. Meshes are approximated by the centre ray plus four rays
+     * offset by the radius around it. Boxes the sphere starts inside are ignored.
+     * @param {THREE.Vector3} origin - Where the sphere's centre starts.
+     * @param {THREE.Vector3} direction - Normalized sweep direction.
+     * @param {number} maxDistance - How far to sweep.
+     * @param {number} radius - The sphere radius.
+     * @param {function(THREE.Object3D): boolean} [filter] - Optional predicate on objects (hit meshes and collider objects); those returning false are ignored.
+     * @returns {{distance: number, object: THREE.Object3D}|null} How far the centre travels before touching something, or null if the path is clear.
+     */
+    sphereCast(origin, direction, maxDistance, radius, filter) {
+        let nearest = null;
+
+        // Ground meshes: centre ray plus four rays around it, on a plane perpendicular to the direction.
+        const side = new THREE.Vector3().crossVectors(direction, UP);
+        if (side.lengthSq() < 1e-6) side.set(1, 0, 0); // Sweeping straight up or down.
+        side.normalize();
+        const up = new THREE.Vector3().crossVectors(side, direction).normalize();
+        const offsets = [
+            new THREE.Vector3(),
+            side.clone().multiplyScalar(radius),
+            side.clone().multiplyScalar(-radius),
+            up.clone().multiplyScalar(radius),
+            up.clone().multiplyScalar(-radius),
+        ];
+        this.raycaster.far = maxDistance;
+        offsets.forEach((offset) => {
+            this.raycaster.set(origin.clone().add(offset), direction);
+            const hit = this.raycaster.intersectObjects(this.groundObjects, true)
+                .find((candidate) => !filter || filter(candidate.object));
+            if (!hit || (nearest && hit.distance >= nearest.distance)) return;
+            nearest = { distance: hit.distance, object: hit.object };
+        });
+
+        // Collider boxes: a sphere touches a box where its centre enters the box grown by the radius.
+        const ray = new THREE.Ray(origin, direction);
+        const grown = new THREE.Box3();
+        this.colliders.forEach((collider) => {
+            const { object, box } = collider;
+            if (filter && !filter(object)) return;
+            grown.copy(box).expandByScalar(radius);
+            if (grown.containsPoint(origin)) return;
+            const point = ray.intersectBox(grown, new THREE.Vector3());
+            if (!point) return;
+            const distance = point.distanceTo(origin);
+            if (distance > maxDistance || (nearest && distance >= nearest.distance)) return;
+            nearest = { distance, object };
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Finds the outward normal of the box face closest to a point on its surface.
+     * @param {THREE.Box3} box - The box.
+     * @param {THREE.Vector3} point - A point on the box's surface.
+     * @returns {THREE.Vector3} The face normal (one of the six axis directions).
+     */
+    boxFaceNormal(box, point) {
+        const faces = [
+            { normal: new THREE.Vector3(-1, 0, 0), distance: Math.abs(point.x - box.min.x) },
+            { normal: new THREE.Vector3(1, 0, 0), distance: Math.abs(point.x - box.max.x) },
+            { normal: new THREE.Vector3(0, -1, 0), distance: Math.abs(point.y - box.min.y) },
+            { normal: new THREE.Vector3(0, 1, 0), distance: Math.abs(point.y - box.max.y) },
+            { normal: new THREE.Vector3(0, 0, -1), distance: Math.abs(point.z - box.min.z) },
+            { normal: new THREE.Vector3(0, 0, 1), distance: Math.abs(point.z - box.max.z) },
+        ];
+        return faces.reduce((best, face) => (face.distance < best.distance ? face : best)).normal;
+    }
+
+    /**
+     * Checks whether a vertical capsule fits at a position without overlapping any collider.
+     * Touching contacts (less than SKIN_WIDTH deep, e.g. standing exactly on a box) don't count.
+     * @param {THREE.Vector3} position - The capsule's base position.
+     * @param {number} radius - The capsule radius.
+     * @param {number} height - The total capsule height.
+     * @param {function(object): boolean} [filter] - Optional predicate; colliders returning false are ignored.
+     * @returns {boolean} True if the capsule is free there.
+     */
+    capsuleFits(position, radius, height, filter) {
+        return !this.colliders.some((collider) => {
+            if (filter && !filter(collider)) return false;
+            const contact = this.capsuleBoxContact(position, radius, height, collider.box);
+            return Boolean(contact && contact.depth > COLLISION_CONFIG.SKIN_WIDTH);
+        });
+    }
+
+    /**
+     * Recomputes the bounding boxes of all dynamic (non-static) colliders.
+     * Should be called once per frame before moving anything against them.
+     */
+    updateColliders() {
+        this.colliders.forEach((collider) => {
+            if (!collider.options.isStatic) {
+                this.computeColliderBox(collider);
+            }
+        });
+    }
+
+    /**
+     * Calculates the world-space box of a collider from its object and options.
+     * @param {object} collider - The collider entry to update.
+     */
+    computeColliderBox(collider) {
+        const { object, box, options } = collider;
+        if (options.size) {
+            // Explicit size: box rests on the object's position, centred horizontally.
+            const position = new THREE.Vector3();
+            object.getWorldPosition(position);
+            box.min.set(position.x - options.size.x / 2, position.y, position.z - options.size.z / 2);
+            box.max.set(position.x + options.size.x / 2, position.y + options.size.y, position.z + options.size.z / 2);
+        } else {
+            // Bounding box of all geometry, in world space.
+            box.setFromObject(object);
+        }
+        if (options.padding) {
+            box.expandByScalar(options.padding);
+        }
+    }
+
+    /**
+     * Moves a vertical capsule by a displacement, sweeping in small sub-steps and
+     * resolving penetrations against all colliders after each one.
+     * The capsule's base (feet) is at `position`; it extends `height` units upward.
+     * @param {THREE.Vector3} position - The capsule's base position. Modified in place to the resolved position.
+     * @param {THREE.Vector3} displacement - The desired movement for this frame.
+     * @param {number} radius - The capsule radius.
+     * @param {number} height - The total capsule height (must be >= 2 * radius).
+     * @param {object} [options={}] - Optional move settings.
+     * @param {function(object): boolean} [options.filter] - Predicate; colliders returning false are ignored.
+     * @param {number} [options.stepHeight=0] - Colliders whose top is at most this far above the feet are ignored, so the ground probe can step onto them.
+     * @returns {Array<{normal: THREE.Vector3, depth: number, collider: object}>} Contacts resolved during the move.
+     */
+    moveCapsule(position, displacement, radius, height, options = {}) {
+        const contacts = [];
+        const distance = displacement.length();
+
+        // Sub-divide the movement so fast moves can't skip over thin colliders.
+        const maxStep = radius * COLLISION_CONFIG.MAX_STEP_FRACTION;
+        const subSteps = Math.min(COLLISION_CONFIG.MAX_SUB_STEPS, Math.max(1, Math.ceil(distance / maxStep)));
+        const step = displacement.clone().divideScalar(subSteps);
+
+        for (let i = 0; i < subSteps; i++) {
+            position.add(step);
+            this.resolveCapsule(position, radius, height, contacts, options);
+        }
+        return contacts;
+    }
+
+    /**
+     * Pushes a vertical capsule out of any overlapping colliders.
+     * @param {THREE.Vector3} position - The capsule's base position. Modified in place.
+     * @param {number} radius - The capsule radius.
+     * @param {number} height - The total capsule height.
+     * @param {Array<object>} [contacts=[]] - Array that resolved contacts are appended to.
+     * @param {object} [options={}] - Same options as moveCapsule() (filter, stepHeight).
+     * @returns {Array<{normal: THREE.Vector3, depth: number, collider: object}>} The contacts array.
+     */
+    resolveCapsule(position, radius, height, contacts = [], options = {}) {
+        const { filter, stepHeight = 0 } = options;
+        for (let iteration = 0; iteration < COLLISION_CONFIG.RESOLVE_ITERATIONS; iteration++) {
+            let resolvedAny = false;
+            for (const collider of this.colliders) {
+                if (filter && !filter(collider)) continue;
+                // Low obstacles are stepped onto by the ground probe instead of blocking.
+                if (stepHeight > 0 && collider.box.max.y - position.y <= stepHeight) continue;
+                const contact = this.capsuleBoxContact(position, radius, height, collider.box);
+                if (!contact) continue;
+
+                // Push the capsule out along the contact normal.
+                position.addScaledVector(contact.normal, contact.depth + COLLISION_CONFIG.SKIN_WIDTH);
+                contacts.push({ ...contact, collider });
+                resolvedAny = true;
+            }
+            // Stop early once nothing overlaps any more.
+            if (!resolvedAny) break;
+        }
+        return contacts;
+    }
+
+    /**
+     * Computes the penetration between a vertical capsule and an axis-aligned box.
+     * Because the capsule is always upright, the closest points can be found exactly with clamping.
+     * @param {THREE.Vector3} position - The capsule's base position.
+     * @param {number} radius - The capsule radius.
+     * @param {number} height - The total capsule height.
+     * @param {THREE.Box3} box - The box to test against.
+     * @returns {{normal: THREE.Vector3, depth: number}|null} Push-out normal and depth, or null if not overlapping.
+     */
+    capsuleBoxContact(position, radius, height, box) {
+        // The capsule's inner segment runs vertically between the centres of its two end spheres.
+        const segmentBottom = position.y + radius;
+        const segmentTop = position.y + height - radius;
+
+        // Closest pair of heights between the segment and the box.
+        let segmentY;
+        let boxY;
+        if (segmentTop < box.min.y) {
+            segmentY = segmentTop;
+            boxY = box.min.y;
+        } else if (segmentBottom > box.max.y) {
+            segmentY = segmentBottom;
+            boxY = box.max.y;
+        } else {
+            // Vertical ranges overlap; any height in the overlap works.
+            segmentY = boxY = Math.max(segmentBottom, box.min.y);
+        }
+
+        // Closest point on the box to the segment, horizontally.
+        const boxX = THREE.MathUtils.clamp(position.x, box.min.x, box.max.x);
+        const boxZ = THREE.MathUtils.clamp(position.z, box.min.z, box.max.z);
+
+        const diff = new THREE.Vector3(position.x - boxX, segmentY - boxY, position.z - boxZ);
+        const distanceSq = diff.lengthSq();
+        if (distanceSq >= radius * radius) return null;
+
+        if (distanceSq > 0) {
+            // Segment is outside the box but within radius: push away from the closest point.
+            const distance = Math.sqrt(distanceSq);
+            return { normal: diff.divideScalar(distance), depth: radius - distance };
+        }
+
+        // The segment itself is inside the box: push out through the nearest face (sides or top/bottom).
+        const exits = [
+            { normal: new THREE.Vector3(-1, 0, 0), depth: position.x - box.min.x + radius },
+            { normal: new THREE.Vector3(1, 0, 0), depth: box.max.x - position.x + radius },
+            { normal: new THREE.Vector3(0, 0, -1), depth: position.z - box.min.z + radius },
+            { normal: new THREE.Vector3(0, 0, 1), depth: box.max.z - position.z + radius },
+            { normal: new THREE.Vector3(0, 1, 0), depth: box.max.y - position.y },
+            { normal: new THREE.Vector3(0, -1, 0), depth: position.y + height - box.min.y },
+        ];
+        return exits.reduce((best, exit) => (exit.depth < best.depth ? exit : best));
+    }
+}
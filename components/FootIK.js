@@ -0,0 +1,255 @@
+// FootIK.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// --- Configuration Constants ---
+// Tunable parameters for planting the feet on uneven ground. Override per model via FOOT_IK in its controller config.
+const FOOT_IK_CONFIG = {
+    RAY_HEIGHT: 0.5,        // How far above the player's feet the ground ray under each foot starts (units). Ground higher than this is ignored.
+    RAY_DEPTH: 0.6,         // How far below the player's feet the ray searches (units). Ground lower than this is ignored.
+    MAX_FOOT_OFFSET: 0.5,   // Max distance a foot is moved up or down from its animated height (units).
+    MAX_PELVIS_OFFSET: 0.5, // Max distance the pelvis is lowered so the lower foot can reach the ground (units).
+    FOOT_SMOOTHING: 15,     // How fast foot and pelvis offsets follow the ground (higher = snappier, per second).
+    WEIGHT_SMOOTHING: 8,    // How fast the IK fades in on landing and out when airborne or riding (per second).
+    ALIGN_FEET: true,       // Rotate the feet to match the ground's slope.
+    BODY_TILT: 0,           // Fraction of the ground slope the body leans with (0 = upright, 1 = perpendicular to the ground).
+    MAX_TILT_ANGLE: 15,     // Max body lean (degrees).
+    // Bone names in the model (node names without ':', as GLTFLoader sanitizes them). Defaults match catwoman.glb.
+    BONES: {
+        HIPS: 'mixamorigHips_01',
+        LEFT_UP_LEG: 'mixamorigLeftUpLeg_056',
+        LEFT_LEG: 'mixamorigLeftLeg_057',
+        LEFT_FOOT: 'mixamorigLeftFoot_058',
+        RIGHT_UP_LEG: 'mixamorigRightUpLeg_00',
+        RIGHT_LEG: 'mixamorigRightLeg_061',
+        RIGHT_FOOT: 'mixamorigRightFoot_062',
+    },
+};
+
+// World up, used as the reference for slopes.
+const UP = new THREE.Vector3(0, 1, 0);
+// --- End Configuration ---
+
+/**
+ * Post-animation foot IK for skinned characters. After the mixer has posed the skeleton and the controller
+ * has moved the model, it raycasts under each foot, lowers the pelvis so the lower foot can reach the ground,
+ * bends each leg with analytic two-bone IK so the foot lands on its ground, and optionally aligns the feet
+ * and leans the body with the slope. Only the bones' local transforms are changed, and the mixer overwrites
+ * them again next frame, so the pass never accumulates.
+ */
+export class FootIK {
+    /**
+     * Initializes foot IK for a model.
+     * @param {THREE.Object3D} model - The skinned character model.
+     * @param {object} [config={}] - Overrides for any FOOT_IK_CONFIG key; BONES is merged key by key.
+     */
+    constructor(model, config = {}) {
+        /** @type {object} Effective tuning values for this model. */
+        this.config = { ...FOOT_IK_CONFIG, ...config, BONES: { ...FOOT_IK_CONFIG.BONES, ...config.BONES } };
+        /** @type {THREE.Object3D} The character model. */
+        this.model = model;
+
+        const { BONES } = this.config;
+        /** @type {Array<string>} Configured bone names that weren't found in the model. */
+        this.missingBones = Object.values(BONES).filter((name) => !model.getObjectByName(name));
+
+        /** @type {THREE.Object3D | undefined} The pelvis bone. */
+        this.hips = model.getObjectByName(BONES.HIPS);
+        /** @type {Array<{upper: THREE.Object3D, lower: THREE.Object3D, foot: THREE.Object3D, offset: number, normal: THREE.Vector3}>} Both leg chains with their smoothed ground offset and ground normal. */
+        this.legs = [
+            [BONES.LEFT_UP_LEG, BONES.LEFT_LEG, BONES.LEFT_FOOT],
+            [BONES.RIGHT_UP_LEG, BONES.RIGHT_LEG, BONES.RIGHT_FOOT],
+        ].map(([upper, lower, foot]) => ({
+            upper: model.getObjectByName(upper),
+            lower: model.getObjectByName(lower),
+            foot: model.getObjectByName(foot),
+            offset: 0,
+            normal: UP.clone(),
+        }));
+
+        /** @type {number} Smoothed pelvis offset (units, <= 0). */
+        this.pelvisOffset = 0;
+        /** @type {number} Overall IK weight (0 = animation only, 1 = full IK). */
+        this.weight = 0;
+    }
+
+    /**
+     * Checks whether all configured bones were found.
+     * @returns {boolean} True if the IK can run on this model.
+     */
+    isValid() {
+        return this.missingBones.length === 0;
+    }
+
+    /**
+     * Runs the IK pass. Call once per frame after the mixer update and after the model has been moved.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @param {CollisionSystem | null} collisionSystem - The world to probe for ground (flat ground at y = 0 if null).
+     * @param {boolean} isGrounded - Whether the character stands on the ground (the IK fades out otherwise).
+     */
+    update(delta, collisionSystem, isGrounded) {
+        this.weight = this.smooth(this.weight, isGrounded ? 1 : 0, this.config.WEIGHT_SMOOTHING, delta);
+        if (this.weight < 0.001) return;
+
+        // Make sure the bones' world matrices reflect this frame's animation and model position.
+        this.model.updateMatrixWorld(true);
+        const baseY = this.model.position.y;
+        const maxOffset = this.config.MAX_FOOT_OFFSET;
+
+        // --- Ground under each foot ---
+        const feet = this.legs.map((leg) => {
+            const position = leg.foot.getWorldPosition(new THREE.Vector3());
+            const quaternion = leg.foot.getWorldQuaternion(new THREE.Quaternion());
+            const ground = this.probe(collisionSystem, position.x, position.z, baseY);
+
+            // How far the ground under this foot is above (or below) the ground the player stands on.
+            const target = ground ? THREE.MathUtils.clamp(ground.y - baseY, -maxOffset, maxOffset) : 0;
+            leg.offset = this.smooth(leg.offset, target, this.config.FOOT_SMOOTHING, delta);
+            leg.normal.lerp(ground ? ground.normal : UP, 1 - Math.exp(-this.config.FOOT_SMOOTHING * delta)).normalize();
+            return { position, quaternion };
+        });
+
+        // --- Pelvis ---
+        // Lower the pelvis so the foot on the lowest ground can still reach it.
+        const lowest = Math.min(0, ...this.legs.map((leg) => leg.offset));
+        this.pelvisOffset = Math.max(lowest, -this.config.MAX_PELVIS_OFFSET);
+        const hipsWorld = this.hips.getWorldPosition(new THREE.Vector3());
+        hipsWorld.y += this.pelvisOffset * this.weight;
+        this.hips.position.copy(this.hips.parent.worldToLocal(hipsWorld));
+
+        // --- Body tilt ---
+        if (this.config.BODY_TILT > 0) {
+            // Lean a fraction of the way toward the average ground normal under the feet.
+            const slope = this.legs[0].normal.clone().add(this.legs[1].normal).normalize();
+            const axis = UP.clone().cross(slope);
+            if (axis.lengthSq() > 0.000001) {
+                const maxTilt = THREE.MathUtils.degToRad(this.config.MAX_TILT_ANGLE);
+                const angle = Math.min(UP.angleTo(slope) * this.config.BODY_TILT, maxTilt);
+                this.rotateBoneWorld(this.hips, new THREE.Quaternion().setFromAxisAngle(axis.normalize(), angle * this.weight));
+            }
+        }
+        this.hips.updateMatrixWorld(true);
+
+        // --- Legs ---
+        this.legs.forEach((leg, index) => {
+            const { position, quaternion } = feet[index];
+            // The foot keeps its animated height above its own ground.
+            const target = position.clone();
+            target.y += leg.offset * this.weight;
+            this.solveTwoBone(leg, target);
+
+            // Restore the animated foot orientation (the leg rotation changed it), then align it to the ground.
+            if (this.config.ALIGN_FEET) {
+                const align = new THREE.Quaternion().slerp(new THREE.Quaternion().setFromUnitVectors(UP, leg.normal), this.weight);
+                quaternion.premultiply(align);
+            }
+            this.setBoneWorldQuaternion(leg.foot, quaternion);
+            leg.foot.updateMatrixWorld(true);
+        });
+    }
+
+    /**
+     * Finds the ground height and normal below a point.
+     * @param {CollisionSystem | null} collisionSystem - The world to probe.
+     * @param {number} x - World X of the foot.
+     * @param {number} z - World Z of the foot.
+     * @param {number} baseY - Height of the ground the player stands on.
+     * @returns {{y: number, normal: THREE.Vector3}|null} The ground under the foot, or null if none in range.
+     */
+    probe(collisionSystem, x, z, baseY) {
+        if (!collisionSystem) {
+            return { y: 0, normal: UP };
+        }
+        const origin = new THREE.Vector3(x, baseY + this.config.RAY_HEIGHT, z);
+        const hit = collisionSystem.probeGround(origin, this.config.RAY_HEIGHT + this.config.RAY_DEPTH);
+        return hit ? { y: hit.point.y, normal: hit.normal } : null;
+    }
+
+    /**
+     * Bends a leg so its foot reaches the target, keeping the knee in the leg's current bend plane.
+     * Analytic two-bone IK: the knee angle comes from the law of cosines, then the whole chain is swung onto the target.
+     * @param {{upper: THREE.Object3D, lower: THREE.Object3D, foot: THREE.Object3D}} leg - The leg chain.
+     * @param {THREE.Vector3} target - World position the foot (ankle) should reach.
+     */
+    solveTwoBone(leg, target) {
+        const a = leg.upper.getWorldPosition(new THREE.Vector3());
+        const b = leg.lower.getWorldPosition(new THREE.Vector3());
+        const c = leg.foot.getWorldPosition(new THREE.Vector3());
+
+        const upperLength = a.distanceTo(b);
+        const lowerLength = b.distanceTo(c);
+        const epsilon = 0.0001;
+        // Can't reach further than the straight leg (or closer than the folded one).
+        const distance = THREE.MathUtils.clamp(
+            a.distanceTo(target),
+            Math.abs(upperLength - lowerLength) + epsilon,
+            upperLength + lowerLength - epsilon
+        );
+
+        const ac = c.clone().sub(a).normalize();
+        const ab = b.clone().sub(a).normalize();
+        const ba = a.clone().sub(b).normalize();
+        const bc = c.clone().sub(b).normalize();
+        const at = target.clone().sub(a).normalize();
+
+        // Current and desired angles at the hip (between hip->ankle and hip->knee) and at the knee.
+        const hipAngle = Math.acos(THREE.MathUtils.clamp(ac.dot(ab), -1, 1));
+        const kneeAngle = Math.acos(THREE.MathUtils.clamp(ba.dot(bc), -1, 1));
+        const hipAngleTarget = Math.acos(THREE.MathUtils.clamp(
+            (lowerLength * lowerLength - upperLength * upperLength - distance * distance) / (-2 * upperLength * distance), -1, 1));
+        const kneeAngleTarget = Math.acos(THREE.MathUtils.clamp(
+            (distance * distance - upperLength * upperLength - lowerLength * lowerLength) / (-2 * upperLength * lowerLength), -1, 1));
+
+        // Bend axis: normal of the leg's plane. A fully straight leg bends around the model's sideways axis.
+        const bendAxis = ac.clone().cross(ab);
+        if (bendAxis.lengthSq() < epsilon) {
+            bendAxis.set(1, 0, 0).applyQuaternion(this.model.getWorldQuaternion(new THREE.Quaternion()));
+        }
+        bendAxis.normalize();
+
+        // Swing axis: turns the hip->ankle direction onto the hip->target direction.
+        const swingAxis = ac.clone().cross(at);
+        const swingAngle = Math.acos(THREE.MathUtils.clamp(ac.dot(at), -1, 1));
+
+        // Knee first (relative to the unchanged thigh), then the thigh carries the whole chain.
+        this.rotateBoneWorld(leg.lower, new THREE.Quaternion().setFromAxisAngle(bendAxis, kneeAngleTarget - kneeAngle));
+        const hipRotation = new THREE.Quaternion().setFromAxisAngle(bendAxis, hipAngleTarget - hipAngle);
+        if (swingAxis.lengthSq() > epsilon) {
+            hipRotation.premultiply(new THREE.Quaternion().setFromAxisAngle(swingAxis.normalize(), swingAngle));
+        }
+        this.rotateBoneWorld(leg.upper, hipRotation);
+        leg.upper.updateMatrixWorld(true);
+    }
+
+    /**
+     * Applies a world-space rotation to a bone (about its own origin) by changing its local rotation.
+     * @param {THREE.Object3D} bone - The bone to rotate.
+     * @param {THREE.Quaternion} rotation - The world-space rotation.
+     */
+    rotateBoneWorld(bone, rotation) {
+        const parentQuaternion = bone.parent.getWorldQuaternion(new THREE.Quaternion());
+        const localRotation = parentQuaternion.clone().invert().multiply(rotation).multiply(parentQuaternion);
+        bone.quaternion.premultiply(localRotation);
+    }
+
+    /**
+     * Sets a bone's world-space orientation by changing its local rotation.
+     * @param {THREE.Object3D} bone - The bone to orient.
+     * @param {THREE.Quaternion} worldQuaternion - The desired world orientation.
+     */
+    setBoneWorldQuaternion(bone, worldQuaternion) {
+        const parentQuaternion = bone.parent.getWorldQuaternion(new THREE.Quaternion());
+        bone.quaternion.copy(parentQuaternion.invert().multiply(worldQuaternion));
+    }
+
+    /**
+     * Frame-rate independent exponential smoothing toward a target.
+     * @param {number} current - The current value.
+     * @param {number} target - The value to approach.
+     * @param {number} rate - Smoothing speed (per second).
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @returns {number} The smoothed value.
+     */
+    smooth(current, target, rate, delta) {
+        return current + (target - current) * (1 - Math.exp(-rate * delta));
+    }
+}
@@ -25,7 +25,10 @@ export class InputManager {
       Space: false, // Jump key
     };
 
-    /** @type {boolean} Flag indicating if the jump action was triggered (typically on key up). Needs to be consumed (set back to false) by the player controller. */
+    /** @type {Object.<string, boolean>} One-shot key presses (any KeyboardEvent.code), set on keydown and cleared by consumeKeyPress(). */
+    this.keysPressed = {};
+
+    /** @type {boolean} Flag indicating the jump key was pressed (once per press, auto-repeat ignored). PlayerController consumes it every frame into its own timed jump buffer. */
     this.jumpTriggered = false;
 
     /** @type {number} Accumulated horizontal mouse movement since the last resetMouseDelta() call. */
@@ -58,10 +61,17 @@ export class InputManager {
       if (event.code in this.keys) {
         this.keys[event.code] = true; // Mark the key as pressed.
       }
+      // Record one-shot presses for actions (ignore auto-repeat while the key is held).
+      if (!event.repeat) {
+        this.keysPressed[event.code] = true;
+      }
       // Prevent default browser action for Space bar (scrolling).
       if (event.code === "Space") {
         event.preventDefault();
-        this.jumpTriggered = true; // Flag that jump should occur. Consumed by PlayerController.
+        // Flag that jump was pressed. Consumed by PlayerController, which decides how long the press stays buffered.
+        if (!event.repeat) {
+          this.jumpTriggered = true;
+        }
       }
       // Could add handling for other keys or modifiers here if needed.
     });
@@ -193,6 +203,18 @@ export class InputManager {
     // Note: jumpTriggered is NOT reset here; it's reset by PlayerController after it's consumed.
   }
 
+  /**
+   * Checks whether a key was pressed since the last call for that key, and clears the press.
+   * Useful for one-shot actions (emotes, interactions) that should fire once per key press.
+   * @param {string} code - The KeyboardEvent.code of the key (e.g. 'KeyE').
+   * @returns {boolean} True if the key was pressed since it was last consumed.
+   */
+  consumeKeyPress(code) {
+    const wasPressed = this.keysPressed[code] === true;
+    this.keysPressed[code] = false;
+    return wasPressed;
+  }
+
   /**
    * Helper method to quickly check if any movement key (WASD) is currently pressed.
    * @returns {boolean} True if W, A, S, or D is pressed.
@@ -201,6 +223,15 @@ export class InputManager {
     return this.keys.KeyW || this.keys.KeyA || this.keys.KeyS || this.keys.KeyD;
   }
 
+  /**
+   * Helper method to check if the jump key (Space) is currently held down.
+   * Used for variable jump height (releasing early cuts the jump short).
+   * @returns {boolean} True if Space is pressed.
+   */
+  isJumpHeld() {
+    return this.keys.Space;
+  }
+
   /**
    * Helper method to quickly check if a sprint modifier key (Shift) is currently pressed.
    * @returns {boolean} True if Left Shift or Right Shift is pressed.
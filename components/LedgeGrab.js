@@ -0,0 +1,92 @@
+// LedgeGrab.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// --- Configuration Constants ---
+// Tunable parameters for grabbing, hanging from and climbing up ledges. Override per character via LEDGE_GRAB in its controller config.
+const LEDGE_CONFIG = {
+    REACH_MIN_HEIGHT: 1.6,  // Lowest ledge top that can be grabbed, above the player's feet (units). Lower ledges are simply landed on.
+    REACH_MAX_HEIGHT: 3.0,  // Highest ledge top the hands reach, above the player's feet (units).
+    FORWARD_REACH: 0.35,    // How far beyond the capsule radius the forward probe looks for a wall (units).
+    LEDGE_DEPTH: 0.3,       // How far past the wall face the downward probe looks for the ledge top (units).
+    MAX_GRAB_UP_SPEED: 2.0, // Ledges are only grabbed while rising slower than this (near the top of a jump) or falling (units per second).
+    WALL_MAX_NORMAL_Y: 0.3, // Surfaces hit by the forward probe count as a wall if their normal.y is within +/- this.
+    TOP_MIN_NORMAL_Y: 0.7,  // The ledge top must be at least this flat (normal.y) to hang from and stand on.
+    HANG_HEIGHT: 2.4,       // How far the feet hang below the ledge top (units). Roughly the model's reach with raised arms.
+    HANG_GAP: 0.05,         // Gap between the capsule and the wall while hanging (units).
+    SHIMMY_SPEED: 1.5,      // Sideways speed while hanging (units per second).
+    SHIMMY_STEP: 0.3,       // Max change in ledge height while shimmying; larger steps end the ledge (units).
+    CLIMB_DURATION: 0.9,    // Time to climb from hanging to standing on the ledge (seconds).
+    CLIMB_RISE_PORTION: 0.6, // Fraction of the climb spent rising; the rest moves forward onto the ledge.
+    CLIMB_INSET: 0.1,       // How far past the capsule radius from the edge the player stands after climbing (units).
+    REGRAB_DELAY_MS: 400,   // After dropping, ledges can't be grabbed again for this long (milliseconds).
+    CAMERA_ZOOM: 11,        // Camera distance while hanging (pulled back to show the wall and the ledge).
+    CAMERA_TARGET_HEIGHT: 2.2, // Height above the feet the camera looks at while hanging (up toward the ledge).
+};
+// --- End Configuration ---
+
+/**
+ * Finds ledges a character can grab, and where to hang from or stand on them.
+ * A ledge is found with two probes against the CollisionSystem: a forward probe at grab height that hits a wall,
+ * then a downward probe just past the wall face that finds the wall's top within reach.
+ * The hang/shimmy/climb state itself lives in PlayerController.
+ */
+export class LedgeGrab {
+    /**
+     * Initializes ledge detection.
+     * @param {object} [config={}] - Overrides for any LEDGE_CONFIG key.
+     */
+    constructor(config = {}) {
+        /** @type {object} Effective tuning values (LEDGE_CONFIG merged with overrides). */
+        this.config = { ...LEDGE_CONFIG, ...config };
+    }
+
+    /**
+     * Looks for a ledge in front of a character, with its top between two heights above the feet.
+     * @param {CollisionSystem} collisionSystem - The collision world to probe.
+     * @param {THREE.Vector3} position - The character's feet position.
+     * @param {THREE.Vector3} forward - Normalized horizontal direction to look in (usually the facing).
+     * @param {number} radius - The character's capsule radius.
+     * @param {number} [minHeight=REACH_MIN_HEIGHT] - Lowest ledge top above the feet; also the height of the wall probe.
+     * @param {number} [maxHeight=REACH_MAX_HEIGHT] - Highest ledge top above the feet.
+     * @returns {{top: number, point: THREE.Vector3, normal: THREE.Vector3}|null}
+     *   The ledge's top height, the point on the wall face at that height, and the wall's horizontal outward normal; or null.
+     */
+    findLedge(collisionSystem, position, forward, radius, minHeight = this.config.REACH_MIN_HEIGHT, maxHeight = this.config.REACH_MAX_HEIGHT) {
+        // Forward probe: is there a wall within reach at grab height?
+        const wallOrigin = new THREE.Vector3(position.x, position.y + minHeight, position.z);
+        const wallHit = collisionSystem.raycast(wallOrigin, forward, radius + this.config.FORWARD_REACH);
+        if (!wallHit || Math.abs(wallHit.normal.y) > this.config.WALL_MAX_NORMAL_Y) return null;
+        const normal = new THREE.Vector3(wallHit.normal.x, 0, wallHit.normal.z).normalize();
+
+        // Downward probe: does the wall end within reach, with a flat top?
+        const topOrigin = wallHit.point.clone().addScaledVector(normal, -this.config.LEDGE_DEPTH);
+        topOrigin.y = position.y + maxHeight;
+        const topHit = collisionSystem.probeGround(topOrigin, maxHeight - minHeight);
+        if (!topHit || topHit.normal.y < this.config.TOP_MIN_NORMAL_Y) return null;
+
+        const top = topHit.point.y;
+        return { top, point: new THREE.Vector3(wallHit.point.x, top, wallHit.point.z), normal };
+    }
+
+    /**
+     * Gets where the feet go while hanging from a ledge: below the top, just off the wall.
+     * @param {{top: number, point: THREE.Vector3, normal: THREE.Vector3}} ledge - The ledge (see findLedge()).
+     * @param {number} radius - The character's capsule radius.
+     * @returns {THREE.Vector3} The hanging feet position.
+     */
+    getHangPosition(ledge, radius) {
+        const position = ledge.point.clone().addScaledVector(ledge.normal, radius + this.config.HANG_GAP);
+        position.y = ledge.top - this.config.HANG_HEIGHT;
+        return position;
+    }
+
+    /**
+     * Gets where the feet end up after climbing onto a ledge: on its top, just past the edge.
+     * @param {{top: number, point: THREE.Vector3, normal: THREE.Vector3}} ledge - The ledge (see findLedge()).
+     * @param {number} radius - The character's capsule radius.
+     * @returns {THREE.Vector3} The standing feet position.
+     */
+    getClimbPosition(ledge, radius) {
+        return ledge.point.clone().addScaledVector(ledge.normal, -(radius + this.config.CLIMB_INSET));
+    }
+}
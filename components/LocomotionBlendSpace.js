@@ -0,0 +1,165 @@
+// LocomotionBlendSpace.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// --- Configuration Constants ---
+// Limits for how far a clip's playback rate may be stretched to match the ground speed.
+const BLEND_SPACE_CONFIG = {
+    MIN_TIME_SCALE: 0.5, // Slowest playback rate for a moving clip (slower looks like slow motion rather than walking).
+    MAX_TIME_SCALE: 2.0, // Fastest playback rate for a moving clip (faster looks frantic).
+};
+// --- End Configuration ---
+
+/**
+ * A 1D blend space over a model's locomotion clips (e.g. idle, walk, run), driven by horizontal speed.
+ * Each sample is a clip plus the ground speed it was authored for. For a given speed, the two samples
+ * around it are blended linearly, and moving clips are time-scaled so the feet match the actual speed.
+ * It drives the actions of an existing mixer directly (weights, time scales and phase), so it can be used
+ * on its own or as a state of an AnimationStateMachine (the `blendSpace` state option).
+ */
+export class LocomotionBlendSpace {
+    /**
+     * Initializes the blend space. Samples whose clip is missing (or repeats an earlier sample's clip) are dropped.
+     * @param {{mixer: THREE.AnimationMixer, actions: Object.<string, THREE.AnimationAction>}} modelAnimations - The mixer and actions map of the animated model.
+     * @param {Array<{clip: string, speed: number}>} samples - Clip names and the ground speed (units/sec) each clip matches at time scale 1. Use speed 0 for idle (never time-scaled).
+     * @param {object} [config={}] - Overrides for any BLEND_SPACE_CONFIG key.
+     */
+    constructor(modelAnimations, samples, config = {}) {
+        /** @type {object} Effective tuning values for this blend space. */
+        this.config = { ...BLEND_SPACE_CONFIG, ...config };
+        /** @type {THREE.AnimationMixer} The mixer playing the actions. */
+        this.mixer = modelAnimations.mixer;
+
+        // Keep one sample per clip (fallback mappings can point several samples at the same clip), sorted by speed.
+        const usedClips = new Set();
+        /** @type {Array<{clip: string, speed: number, action: THREE.AnimationAction, weight: number}>} The blend samples, sorted by speed. */
+        this.samples = samples
+            .filter((sample) => {
+                if (!sample.clip || !modelAnimations.actions[sample.clip] || usedClips.has(sample.clip)) return false;
+                usedClips.add(sample.clip);
+                return true;
+            })
+            .map((sample) => ({ ...sample, action: modelAnimations.actions[sample.clip], weight: 0 }))
+            .sort((a, b) => a.speed - b.speed);
+
+        /** @type {number} The speed the weights were last computed for. */
+        this.speed = 0;
+        this.computeWeights(0);
+    }
+
+    /**
+     * Checks whether the blend space has any clip to play.
+     * @returns {boolean} True if no sample's clip was found in the model.
+     */
+    isEmpty() {
+        return this.samples.length === 0;
+    }
+
+    /**
+     * Checks whether an action is one of the blend space's samples.
+     * @param {THREE.AnimationAction} action - The action to check.
+     * @returns {boolean} True if the action is blended by this blend space.
+     */
+    hasAction(action) {
+        return this.samples.some((sample) => sample.action === action);
+    }
+
+    /**
+     * Starts all sample clips (from the beginning) and fades the blend in.
+     * @param {number} fadeDuration - Crossfade time in seconds.
+     */
+    play(fadeDuration) {
+        this.samples.forEach((sample) => {
+            const { action } = sample;
+            action.setLoop(THREE.LoopRepeat, Infinity);
+            action.clampWhenFinished = false;
+            action.reset().fadeIn(fadeDuration).play();
+            // Blend weights go on `weight` directly; setEffectiveWeight() would cancel the fade.
+            action.weight = sample.weight;
+        });
+        this.applyTimeScales();
+    }
+
+    /**
+     * Fades the whole blend out.
+     * @param {number} fadeDuration - Crossfade time in seconds.
+     * @param {boolean} [immediately=false] - Stop the clips instantly instead of fading.
+     */
+    stop(fadeDuration, immediately = false) {
+        this.samples.forEach(({ action }) => {
+            if (immediately) {
+                action.stop();
+            } else {
+                action.fadeOut(fadeDuration);
+            }
+        });
+    }
+
+    /**
+     * Updates the weights, playback rates and phase of the sample clips for the current speed.
+     * Call every frame while the blend space is playing.
+     * @param {number} speed - The current horizontal speed (units/sec).
+     */
+    update(speed) {
+        this.computeWeights(speed);
+        this.samples.forEach((sample) => {
+            sample.action.weight = sample.weight;
+        });
+        this.applyTimeScales();
+        this.syncPhase();
+    }
+
+    /**
+     * Computes each sample's weight: the two samples around the speed share the weight linearly;
+     * speeds outside the sampled range use the nearest sample alone.
+     * @param {number} speed - The current horizontal speed (units/sec).
+     */
+    computeWeights(speed) {
+        this.speed = Math.max(0, speed);
+        this.samples.forEach((sample) => { sample.weight = 0; });
+        if (this.isEmpty()) return;
+
+        const upperIndex = this.samples.findIndex((sample) => sample.speed >= this.speed);
+        if (upperIndex === -1) {
+            // Faster than the fastest sample.
+            this.samples[this.samples.length - 1].weight = 1;
+        } else if (upperIndex === 0) {
+            // Slower than (or exactly at) the slowest sample.
+            this.samples[0].weight = 1;
+        } else {
+            const lower = this.samples[upperIndex - 1];
+            const upper = this.samples[upperIndex];
+            const t = (this.speed - lower.speed) / (upper.speed - lower.speed);
+            lower.weight = 1 - t;
+            upper.weight = t;
+        }
+    }
+
+    /**
+     * Scales each moving clip's playback rate by how fast the model moves relative to the clip's authored speed.
+     */
+    applyTimeScales() {
+        this.samples.forEach(({ action, speed }) => {
+            const timeScale = speed > 0
+                ? THREE.MathUtils.clamp(this.speed / speed, this.config.MIN_TIME_SCALE, this.config.MAX_TIME_SCALE)
+                : 1;
+            action.setEffectiveTimeScale(timeScale);
+        });
+    }
+
+    /**
+     * Keeps the moving clips in step: the heaviest moving clip leads, the others follow its normalized time,
+     * so blending walk and run doesn't mix two different foot positions.
+     */
+    syncPhase() {
+        const moving = this.samples.filter((sample) => sample.speed > 0 && sample.weight > 0);
+        if (moving.length < 2) return;
+
+        const leader = moving.reduce((best, sample) => (sample.weight > best.weight ? sample : best));
+        const phase = leader.action.time / leader.action.getClip().duration;
+        moving.forEach(({ action }) => {
+            if (action !== leader.action) {
+                action.time = phase * action.getClip().duration;
+            }
+        });
+    }
+}
@@ -14,6 +14,8 @@ export class ModelLoader {
      * @param {object} [config.position] - Optional initial position {x, y, z}.
      * @param {number} [config.scale] - Optional initial uniform scale factor.
      * @param {object} [config.rotation] - Optional initial rotation {x, y, z} in radians.
+     * @param {boolean|object} [config.collider] - Optional collider flag. `true` uses the model's bounding box; an object is passed to CollisionSystem.addCollider() as options (e.g. { size: {x, y, z} }). Stored on model.userData.collider.
+     * @param {boolean} [config.ground] - Optional flag marking the model's meshes as walkable ground (used by ground probes). Stored on model.userData.ground.
      * @param {function(object, THREE.Object3D)} onLoad - Success callback function. Receives the full gltf object and the extracted model scene (THREE.Object3D).
      * @param {function(ErrorEvent)} onError - Error callback function. Receives the error event.
      */
@@ -45,6 +47,18 @@ export class ModelLoader {
                     model.rotation.set(config.rotation.x, config.rotation.y, config.rotation.z);
                 }
 
+                // Remember where the model came from (used in warnings, e.g. missing animation clips).
+                model.userData.path = config.path;
+
+                // Flag the model as a collider so the game can register it with the CollisionSystem.
+                if (config.collider) {
+                    model.userData.collider = config.collider;
+                }
+                // Flag the model as walkable ground so ground probes can find it.
+                if (config.ground) {
+                    model.userData.ground = true;
+                }
+
                 // --- Default Setup ---
                 // Traverse through all child meshes within the loaded model.
                 model.traverse((child) => {
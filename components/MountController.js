@@ -0,0 +1,194 @@
+// MountController.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+import { AnimationStateMachine } from './AnimationStateMachine.js';
+
+// --- Configuration Constants ---
+// Default tuning for rideable animals. Override per mount via the `mount` object in its model config.
+const MOUNT_CONFIG = {
+    WALK_SPEED: 4.0,       // Mount speed when walking (units per second).
+    GALLOP_SPEED: 14.0,    // Mount speed when galloping (Shift held, units per second).
+    REVERSE_SPEED: 2.0,    // Mount speed when backing up (S held, units per second).
+    ACCELERATION: 8.0,     // How fast the mount speeds up (units per second squared).
+    DECELERATION: 12.0,    // How fast the mount slows down (units per second squared).
+    TURN_RATE: 100,        // How fast the mount turns with A/D (degrees per second).
+    MODEL_FORWARD_DIRECTION: new THREE.Vector3(0, 0, 1), // Forward vector of the mount model in its file.
+    SADDLE_OFFSET: new THREE.Vector3(0, 0.45, 0.1),      // Where the rider's feet are placed, in the mount's local space.
+    DISMOUNT_OFFSET: new THREE.Vector3(1.5, 0, 0),       // Where the rider is put down after dismounting, in the mount's local space.
+    CAMERA_ZOOM: 13,       // Camera distance while riding.
+    COLLISION_RADIUS: 0.8, // Radius of the mount's collision capsule (units).
+    COLLISION_HEIGHT: 2.5, // Height of the mount's collision capsule (units).
+    STEP_HEIGHT: 0.5,      // Max ledge height the mount can walk up onto (units).
+    MAX_SLOPE_ANGLE: 35,   // Steepest slope the mount can walk on (degrees).
+    WALK_ANIM_MIN_SPEED: 0.5,   // Speed above which the walk animation plays (units per second).
+    GALLOP_ANIM_MIN_SPEED: 8.0, // Speed above which the gallop animation plays (units per second).
+    // Clip names in the mount's model. Missing clips are skipped (the bundled horse.glb has none).
+    ANIMATIONS: { IDLE: 'idle', WALK: 'walk', GALLOP: 'gallop' },
+};
+// --- End Configuration ---
+
+/**
+ * A rideable animal (e.g. the horses). While it has a rider, it reads movement input
+ * and drives itself with its own speed and turn rate; the rider is kept on the saddle.
+ * Steering is tank-style: W/S move forward/back, A/D turn, Shift gallops.
+ * Idle/walk/gallop clips are switched by speed if the model has them. The bundled horse.glb has
+ * no clips, so the horses don't animate yet.
+ */
+export class MountController {
+    /**
+     * Initializes the mount.
+     * @param {THREE.Object3D} model - The mount's 3D model.
+     * @param {{mixer: THREE.AnimationMixer, actions: Object.<string, THREE.AnimationAction>}|null} modelAnimations - The model's animations, if any.
+     * @param {object} [config={}] - Per-mount overrides for any MOUNT_CONFIG key.
+     */
+    constructor(model, modelAnimations = null, config = {}) {
+        /** @type {object} Effective tuning values for this mount. */
+        this.config = { ...MOUNT_CONFIG, ...config };
+        /** @type {THREE.Object3D} The mount's 3D model. */
+        this.model = model;
+        /** @type {THREE.Object3D | null} The rider's model while ridden. */
+        this.rider = null;
+        /** @type {number} Current forward speed (negative when backing up). */
+        this.speed = 0;
+        /** @type {CollisionSystem | null} Collision world the mount moves through. Set via setCollisionSystem(). */
+        this.collisionSystem = null;
+        /** @type {number} Minimum ground normal Y the mount can walk on, derived from MAX_SLOPE_ANGLE. */
+        this.minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(this.config.MAX_SLOPE_ANGLE));
+
+        // Speed-driven idle/walk/gallop animations, if the model has them.
+        const clips = this.config.ANIMATIONS;
+        /** @type {AnimationStateMachine | null} Drives the mount's animations. */
+        this.animationStateMachine = modelAnimations
+            ? new AnimationStateMachine(modelAnimations, {
+                initial: 'idle',
+                states: {
+                    idle: { clip: clips.IDLE },
+                    walk: { clip: clips.WALK },
+                    gallop: { clip: clips.GALLOP },
+                },
+                transitions: [
+                    { from: '*', to: 'gallop', when: (ctx) => ctx.speed >= this.config.GALLOP_ANIM_MIN_SPEED },
+                    { from: '*', to: 'walk', when: (ctx) => ctx.speed >= this.config.WALK_ANIM_MIN_SPEED && ctx.speed < this.config.GALLOP_ANIM_MIN_SPEED },
+                    { from: '*', to: 'idle', when: (ctx) => ctx.speed < this.config.WALK_ANIM_MIN_SPEED },
+                ],
+            })
+            : null;
+    }
+
+    /**
+     * Sets the collision world used to block the mount and find the ground under it.
+     * @param {CollisionSystem} collisionSystem - The collision system containing the scene's colliders.
+     */
+    setCollisionSystem(collisionSystem) {
+        this.collisionSystem = collisionSystem;
+    }
+
+    /**
+     * Checks whether the mount is free to be ridden.
+     * @returns {boolean} True if nobody is riding it.
+     */
+    isAvailable() {
+        return this.rider === null;
+    }
+
+    /**
+     * Gets the mount's forward direction in world space (XZ plane).
+     * @returns {THREE.Vector3} Normalized forward vector.
+     */
+    getForward() {
+        return this.config.MODEL_FORWARD_DIRECTION.clone().applyQuaternion(this.model.quaternion).setY(0).normalize();
+    }
+
+    /**
+     * Calculates where the rider should stand after dismounting (DISMOUNT_OFFSET in the mount's local space).
+     * @returns {THREE.Vector3} World-space position next to the mount.
+     */
+    getDismountPosition() {
+        return this.model.localToWorld(this.config.DISMOUNT_OFFSET.clone());
+    }
+
+    /**
+     * Moves a rider onto the saddle and orients it like the mount.
+     * @param {THREE.Object3D} rider - The rider's model.
+     * @param {THREE.Vector3} riderForward - The rider model's forward direction in its file.
+     */
+    placeRider(rider, riderForward) {
+        this.model.updateMatrixWorld();
+        rider.position.copy(this.model.localToWorld(this.config.SADDLE_OFFSET.clone()));
+        // Face the same way as the mount, accounting for different model forward axes.
+        const forwardFix = new THREE.Quaternion().setFromUnitVectors(riderForward, this.config.MODEL_FORWARD_DIRECTION);
+        rider.quaternion.copy(this.model.quaternion).multiply(forwardFix);
+    }
+
+    /**
+     * Drives the mount for one frame from the rider's input.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @param {InputManager} inputManager - Input to read movement keys from.
+     */
+    update(delta, inputManager) {
+        const { keys } = inputManager;
+
+        // --- Turning (A/D) ---
+        let turn = 0;
+        if (keys.KeyA) turn += 1;
+        if (keys.KeyD) turn -= 1;
+        if (turn !== 0) {
+            this.model.rotateOnWorldAxis(THREE.Object3D.DefaultUp, turn * THREE.MathUtils.degToRad(this.config.TURN_RATE) * delta);
+        }
+
+        // --- Speed (W/S, Shift to gallop) ---
+        let targetSpeed = 0;
+        if (keys.KeyW) {
+            targetSpeed = inputManager.isSprinting() ? this.config.GALLOP_SPEED : this.config.WALK_SPEED;
+        } else if (keys.KeyS) {
+            targetSpeed = -this.config.REVERSE_SPEED;
+        }
+        const rate = Math.abs(targetSpeed) > Math.abs(this.speed) ? this.config.ACCELERATION : this.config.DECELERATION;
+        const maxChange = rate * delta;
+        this.speed += THREE.MathUtils.clamp(targetSpeed - this.speed, -maxChange, maxChange);
+
+        // --- Movement ---
+        const startPosition = this.model.position.clone();
+        const displacement = this.getForward().multiplyScalar(this.speed * delta);
+        if (this.collisionSystem) {
+            // Sweep through the world, ignoring the mount's own collider.
+            const ignoreSelf = (collider) => collider.object !== this.model;
+            this.collisionSystem.moveCapsule(
+                this.model.position,
+                displacement,
+                this.config.COLLISION_RADIUS,
+                this.config.COLLISION_HEIGHT,
+                { filter: ignoreSelf, stepHeight: this.config.STEP_HEIGHT }
+            );
+            this.followGround(startPosition, ignoreSelf);
+        } else {
+            this.model.position.add(displacement);
+        }
+
+        // --- Animation ---
+        if (this.animationStateMachine) {
+            this.animationStateMachine.update({ speed: Math.abs(this.speed) });
+        }
+    }
+
+    /**
+     * Keeps the mount on the ground. Surfaces too high or too steep (or no ground at all)
+     * block the move instead; mounts don't fall or jump.
+     * @param {THREE.Vector3} startPosition - The mount's position before this frame's move.
+     * @param {function(object): boolean} filter - Collider filter that excludes the mount's own collider.
+     */
+    followGround(startPosition, filter) {
+        const position = this.model.position;
+        const origin = new THREE.Vector3(position.x, position.y + this.config.COLLISION_HEIGHT, position.z);
+        const hit = this.collisionSystem.probeGround(origin, this.config.COLLISION_HEIGHT + this.config.STEP_HEIGHT, filter);
+
+        const blocked = !hit
+            || hit.normal.y < this.minGroundNormalY
+            || Math.abs(hit.point.y - startPosition.y) > this.config.STEP_HEIGHT;
+        if (blocked) {
+            position.copy(startPosition);
+            this.speed = 0;
+            return;
+        }
+        position.y = hit.point.y;
+    }
+}
@@ -1,27 +1,177 @@
 // PlayerController.js
 import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+import { AnimationStateMachine } from './AnimationStateMachine.js';
+import { LocomotionBlendSpace } from './LocomotionBlendSpace.js';
+import { RootMotion } from './RootMotion.js';
+import { FootIK } from './FootIK.js';
+import { Stamina } from './Stamina.js';
+import { LedgeGrab } from './LedgeGrab.js';
 
 // --- Configuration Constants ---
 // Contains tunable parameters for player behavior.
 const PLAYER_CONFIG = {
     WALK_SPEED: 3.5,      // Player movement speed when walking (units per second).
     RUN_SPEED: 10.0,       // Player movement speed when sprinting (units per second).
+    ACCELERATION: 25.0,   // How fast the player speeds up toward walk/run speed on the ground (units per second squared).
+    DECELERATION: 35.0,   // How fast the player slows down when above the target speed or reversing (units per second squared).
+    TURN_RATE: 540,       // How fast the movement direction can turn toward the input direction on the ground (degrees per second).
+    GROUND_FRICTION: 1.0, // Multiplier on DECELERATION when there is no input (1 = normal stop, lower = slippery, e.g. 0.1 for ice).
+    WALK_ANIM_MIN_SPEED: 0.5, // Horizontal speed below which the player counts as standing still for animations, e.g. emotes (units per second).
+    WALK_ANIM_SPEED: 3.5, // Ground speed the walk clip matches at normal playback rate; the locomotion blend space scales around it (units per second).
+    RUN_ANIM_SPEED: 10.0, // Ground speed the run clip matches at normal playback rate (units per second).
     GRAVITY: -19.6,       // Acceleration due to gravity (units per second squared). Adjusted for game feel.
     JUMP_HEIGHT: 1.8,     // The desired height the player should reach when jumping (units).
+    JUMP_BUFFER_MS: 150,  // A jump pressed up to this long before landing (or before being able to jump) still fires (milliseconds).
+    COYOTE_TIME_MS: 120,  // The player can still jump for this long after walking off a ledge (milliseconds).
+    JUMP_CUT_MULTIPLIER: 0.5, // Upward velocity is multiplied by this when Space is released early, for a short hop (1 = no variable height).
     ROTATION_SPEED: 0.15, // Controls how quickly the player rotates to face movement direction (0 = no rotation, 1 = instant). Slerp factor.
     ANIM_FADE_DURATION: 0.2, // Default time in seconds for animations to fade in/out smoothly.
     MODEL_FORWARD_DIRECTION: new THREE.Vector3(0, 0, 1), // Assumed forward vector of the player model mesh. Must match the model's orientation in its file.
     MOVEMENT_INPUT_THRESHOLD: 0.001, // Small value to prevent calculations when input is negligible.
+    AIR_CONTROL_MODE: 'committed', // How horizontal movement behaves while airborne. One of AIR_CONTROL_MODES.
+    AIR_CONTROL: 0.35,    // Authority factor for mid-air steering (0 = none, 1 = full). Only used in 'steerable' mode.
+    AIR_ACCELERATION: 30.0, // Max change of horizontal velocity in the air at full authority (units per second squared).
+    AIR_MAX_SPEED: 8.0,   // Speed cap for air steering (units per second). Faster takeoff speeds are kept, but steering can't add more.
+    AIR_TURNING: false,   // If true, the model keeps rotating toward its movement direction while airborne.
+    AIR_ROTATION_SPEED: 0.08, // Slerp factor for rotation while airborne (only used when AIR_TURNING is true).
+    MASS: 1.0,            // Divides external impulses and forces (applyImpulse(), addForce()); heavier characters get pushed less.
+    EXTERNAL_DRAG: 4.0,   // How fast velocity from impulses and forces dies down on the ground (per second; higher = stops sooner).
+    EXTERNAL_AIR_DRAG: 0.5, // The same while airborne (low, so knockbacks and launches carry through the air).
+    CAPSULE_RADIUS: 0.4,  // Radius of the player's collision capsule (units).
+    CAPSULE_HEIGHT: 2.8,  // Total height of the player's collision capsule, measured up from the feet (units).
+    GROUND_NORMAL_THRESHOLD: 0.7, // Contacts with a normal.y above this count as standing on top of a collider (~45 degrees).
+    MAX_SLOPE_ANGLE: 45,  // Steepest walkable ground slope in degrees. Steeper surfaces block uphill movement and make the player slide off.
+    STEP_HEIGHT: 0.5,     // Max height of a ledge/stair the player can walk up onto without jumping (units).
+    SNAP_DOWN_DISTANCE: 0.5, // Max drop the player stays glued to the ground over (small ledges, downhill ramps) instead of falling (units).
+    FALL_RESET_Y: -50,    // If the player falls below this height (e.g. off the world), they are reset to their spawn position.
+    EMOTE_KEY: 'KeyG',    // Key (KeyboardEvent.code) that plays the emote animation while standing still.
+    INTERACT_KEY: 'KeyE', // Key (KeyboardEvent.code) that mounts a nearby mount or dismounts.
+    MOUNT_RANGE: 3.0,     // Max horizontal distance to a mount for the interact key to mount it (units).
+    DODGE_KEY: 'KeyC',    // Key (KeyboardEvent.code) that plays the dodge animation while on the ground.
+    ROOT_MOTION_ANIMS: ['DODGE'], // Logical animations whose clips move the player themselves (root motion). Empty to disable.
+    ROOT_MOTION_BONE: 'mixamorigHips_01', // Root bone carrying the clips' translation (node name without ':', as GLTFLoader sanitizes it).
+    AIM_MOUSE_BUTTON: 'middle', // Mouse button (key of InputManager.mouseDown) held for aim/strafe mode: face the camera direction and strafe. Not 'right' or 'left': those orbit the camera.
+    AIM_MOVE_SPEED: 3.0,  // Movement speed while aiming (units per second). Sprinting is not possible while aiming.
+    AIM_ROTATION_SPEED: 0.3, // Slerp factor for turning toward the camera direction while aiming.
+    LEDGE_GRAB: {},       // Ledge grab overrides for LedgeGrab's LEDGE_CONFIG (e.g. { REACH_MAX_HEIGHT: 3.5 }), or false to disable. While hanging: A/D shimmy, W or Space climbs up, S drops.
+    STAMINA: {},          // Stamina overrides for Stamina's STAMINA_CONFIG (e.g. { MAX: 150, SPRINT_DRAIN: 15 }), or false for unlimited sprint and jumps.
+    FOOT_IK: {},          // Foot IK overrides for FootIK's FOOT_IK_CONFIG (e.g. { BONES: {...}, BODY_TILT: 0.3 }), or false to disable.
+    ANIMATIONS: {},       // Per-model clip names, overriding ANIM_NAMES key by key (e.g. { IDLE: 'Idle' }).
 };
 
-// Stores the names of the animations as defined in the player's model file.
+// Available modes for PLAYER_CONFIG.AIR_CONTROL_MODE.
+export const AIR_CONTROL_MODES = {
+    COMMITTED: 'committed', // Horizontal velocity is locked at takeoff (classic committed jump).
+    STEERABLE: 'steerable', // Input steers the player mid-air (platformer-style jump).
+};
+
+// Events dispatched by PlayerController; subscribe with playerController.on(type, listener).
+// Listeners receive a three.js event object: { type, target, ...payload }.
+export const PLAYER_EVENTS = {
+    JUMPED: 'jumped',                       // The player jumped. Payload: { velocityY } (takeoff speed).
+    LEFT_GROUND: 'leftGround',              // The player left the ground, by jumping, walking off an edge or getting off a mount over a drop. Payload: { jumped }.
+    LANDED: 'landed',                       // The player landed, or climbed up onto a ledge (hanging counts as airborne). Every LEFT_GROUND is followed by a LANDED, or by RESPAWNED. Payload: { fallSpeed } (downward speed at impact, units per second).
+    RESPAWNED: 'respawned',                 // The player fell below FALL_RESET_Y and was put back at its spawn point (teleported; not a landing). Payload: { position }.
+    LOCOMOTION_CHANGED: 'locomotionChanged', // Payload: { state, previous }; one of 'idle', 'walk', 'run', 'airborne', 'mounted', 'hanging', 'climbing'.
+    ANIMATION_CHANGED: 'animationChanged',  // The animation state machine entered another state. Payload: { state, previous } (state names of PLAYER_ANIM_STATES).
+};
+
+// Default clip names for each logical animation, as used by the bundled models.
+// A model whose clips are named differently overrides these through ANIMATIONS in its controller config,
+// e.g. { IDLE: 'Idle', RUN: ['Running', 'Armature|Run'] } (a list is tried in order; matching ignores case).
 export const ANIM_NAMES = {
     IDLE: 'stand',    // Animation for standing still.
     WALK: 'walk',     // Animation for walking.
     RUN: 'run',      // Animation for running/sprinting.
     JUMP: 'jumpUp',   // Animation for the upward phase of the jump.
     FALL: 'jumpDown', // Optional: Animation for the falling phase (looping).
-    // LAND: 'land',     // Optional: Short animation played upon landing.
+    LAND: 'land',     // Optional: Short animation played upon landing.
+    EMOTE: 'waveHello', // Optional: One-shot emote played while standing still.
+    RIDE: 'ride',     // Optional: Animation while sitting on a mount.
+    DODGE: 'dodge',   // Optional: One-shot dodge/roll; moves the player by root motion (see ROOT_MOTION_ANIMS).
+    STRAFE_LEFT: 'strafeLeft',   // Optional: Sidestep to the left while aiming.
+    STRAFE_RIGHT: 'strafeRight', // Optional: Sidestep to the right while aiming.
+    BACKPEDAL: 'backpedal',      // Optional: Walking backwards while aiming (falls back to the walk clip played in reverse).
+    HANG: 'hang',                // Optional: Hanging from a ledge.
+    SHIMMY_LEFT: 'shimmyLeft',   // Optional: Moving left while hanging from a ledge.
+    SHIMMY_RIGHT: 'shimmyRight', // Optional: Moving right while hanging from a ledge.
+    CLIMB_UP: 'climbUp',         // Optional: One-shot climb from hanging onto the ledge.
+    DROP: 'ledgeDrop',           // Optional: One-shot letting go of a ledge (skipped without a clip; the fall animation plays instead).
+};
+
+// Logical animations to borrow, in order, when a model has no clip for one.
+// Names without a chain (LAND, EMOTE) are skipped instead, so their states never play.
+export const ANIM_FALLBACKS = {
+    WALK: ['IDLE'],
+    RUN: ['WALK', 'IDLE'],
+    JUMP: ['FALL', 'IDLE'],
+    FALL: ['JUMP', 'IDLE'],
+    RIDE: ['IDLE'],
+    STRAFE_LEFT: ['WALK', 'IDLE'],
+    STRAFE_RIGHT: ['WALK', 'IDLE'],
+    BACKPEDAL: ['WALK', 'IDLE'],
+    HANG: ['JUMP', 'IDLE'],
+    SHIMMY_LEFT: ['HANG', 'JUMP', 'IDLE'],
+    SHIMMY_RIGHT: ['HANG', 'JUMP', 'IDLE'],
+    CLIMB_UP: ['JUMP', 'IDLE'],
+};
+
+// Declarative animation states for the player, driven by AnimationStateMachine.
+// Guards read the context built in PlayerController.update(). Each state names a logical animation (`anim`, a key of
+// ANIM_NAMES); its clip is resolved per model when the state machine is created. States left without a clip are skipped,
+// so e.g. without a 'land' clip the player goes straight from fall to locomotion.
+export const PLAYER_ANIM_STATES = {
+    initial: 'locomotion',
+    states: {
+        ride: { anim: 'RIDE' },
+        // Ledge hanging (see PlayerController.updateHanging()).
+        hang: { anim: 'HANG' },
+        shimmyLeft: { anim: 'SHIMMY_LEFT' },
+        shimmyRight: { anim: 'SHIMMY_RIGHT' },
+        climbUp: { anim: 'CLIMB_UP', loop: false },
+        drop: { anim: 'DROP', loop: false, exitOnFinish: true, interruptWhen: (ctx) => ctx.isGrounded, next: 'fall' },
+        // Idle, walk and run blended by horizontal speed (see createLocomotionBlendSpace()).
+        locomotion: { blend: true, blendParam: 'speed' },
+        jump: { anim: 'JUMP' },
+        fall: { anim: 'FALL' },
+        // One-shot states: wait for the clip to finish before moving on, unless interrupted.
+        land: { anim: 'LAND', loop: false, exitOnFinish: true, stopOnExit: true, interruptWhen: (ctx) => !ctx.isGrounded },
+        emote: { anim: 'EMOTE', loop: false, exitOnFinish: true, interruptWhen: (ctx) => ctx.isMoving || !ctx.isGrounded },
+        dodge: { anim: 'DODGE', loop: false, exitOnFinish: true, interruptWhen: (ctx) => !ctx.isGrounded },
+        // Aim/strafe mode: directional movement while facing the camera direction.
+        // `fallbackTimeScale` is the playback rate used when the state borrows a fallback clip.
+        strafeForward: { anim: 'WALK' },
+        strafeBack: { anim: 'BACKPEDAL', fallbackTimeScale: -1 },
+        strafeLeft: { anim: 'STRAFE_LEFT' },
+        strafeRight: { anim: 'STRAFE_RIGHT' },
+    },
+    transitions: [
+        // Riding (plays the idle clip if the model has no ride clip)
+        { from: '*', to: 'ride', when: (ctx) => ctx.isMounted },
+        // Ledges (the climb plays for as long as the climb takes; a drop is skipped without a clip)
+        { from: '*', to: 'climbUp', when: (ctx) => ctx.ledgeState === 'climb' },
+        { from: '*', to: 'shimmyLeft', when: (ctx) => ctx.ledgeState === 'shimmyLeft' },
+        { from: '*', to: 'shimmyRight', when: (ctx) => ctx.ledgeState === 'shimmyRight' },
+        { from: '*', to: 'hang', when: (ctx) => ctx.ledgeState === 'hang' },
+        { from: '*', to: 'drop', when: (ctx) => ctx.dropped },
+        // Airborne
+        { from: '*', to: 'jump', when: (ctx) => ctx.jumped },
+        { from: '*', to: 'fall', when: (ctx) => ctx.launched }, // Thrown into the air by an impulse or force (no jump clip)
+        { from: '*', to: 'fall', when: (ctx) => !ctx.isGrounded && ctx.velocityY <= 0 && !ctx.ledgeState },
+        // Landing (skipped if the model has no land clip)
+        { from: ['jump', 'fall'], to: 'land', when: (ctx) => ctx.isGrounded, fade: 0.1 },
+        // Dodge (skipped if the model has no dodge clip)
+        { from: ['locomotion', 'strafeForward', 'strafeBack', 'strafeLeft', 'strafeRight'], to: 'dodge', when: (ctx) => ctx.dodge },
+        // Emote
+        { from: 'locomotion', to: 'emote', when: (ctx) => ctx.emote && ctx.speed < ctx.config.WALK_ANIM_MIN_SPEED },
+        // Aim/strafe, by movement direction relative to the facing
+        { from: '*', to: 'strafeForward', when: (ctx) => ctx.isGrounded && ctx.strafeDirection === 'forward' },
+        { from: '*', to: 'strafeBack', when: (ctx) => ctx.isGrounded && ctx.strafeDirection === 'back' },
+        { from: '*', to: 'strafeLeft', when: (ctx) => ctx.isGrounded && ctx.strafeDirection === 'left' },
+        { from: '*', to: 'strafeRight', when: (ctx) => ctx.isGrounded && ctx.strafeDirection === 'right' },
+        // Ground locomotion; the blend space follows the actual horizontal speed (so accelerating/stopping plays out in the animation)
+        { from: '*', to: 'locomotion', when: (ctx) => ctx.isGrounded && !ctx.strafeDirection },
+    ],
 };
 // --- End Configuration ---
 
@@ -37,8 +187,12 @@ export class PlayerController {
      * @param {THREE.Camera} camera - The main game camera, used for calculating movement direction.
      * @param {InputManager} inputManager - The input manager instance to read player input state.
      * @param {object|null} modelAnimations - Optional object containing the THREE.AnimationMixer and actions map for the player model. Expected format: { mixer: THREE.AnimationMixer, actions: { 'animName': THREE.AnimationAction, ... } }
+     * @param {object} [config={}] - Optional per-character overrides for any PLAYER_CONFIG key (e.g. { AIR_CONTROL_MODE: 'steerable' }).
      */
-    constructor(player, camera, inputManager, modelAnimations = null) {
+    constructor(player, camera, inputManager, modelAnimations = null, config = {}) {
+        // Per-character tuning (config, speeds, gravity, jump height, slope limit).
+        this.applyConfig(config);
+
         /** @type {THREE.Object3D} The player's 3D model. */
         this.player = player;
         /** @type {THREE.Camera} The main game camera. */
@@ -47,13 +201,7 @@ export class PlayerController {
         this.inputManager = inputManager;
         /** @type {{mixer: THREE.AnimationMixer, actions: Object.<string, THREE.AnimationAction>}|null} Animation data. */
         this.modelAnimations = modelAnimations;
-        /** @type {THREE.AnimationAction | null} The currently active animation action. */
-        this.currentAnimation = null;
 
-        /** @type {number} Player walk speed (units/sec). */
-        this.walkSpeed = PLAYER_CONFIG.WALK_SPEED;
-        /** @type {number} Player run speed (units/sec). */
-        this.runSpeed = PLAYER_CONFIG.RUN_SPEED;
         /** @type {number} The current movement speed, determined by walking/running state. */
         this.movementSpeed = this.walkSpeed;
         /** @type {THREE.Vector3} The player's current horizontal velocity vector (units/sec). Captures direction and speed on the XZ plane. */
@@ -61,28 +209,707 @@ export class PlayerController {
 
         /** @type {boolean} Flag indicating if the player is currently in the jump state. */
         this.isJumping = false;
+        /** @type {number} The player's current vertical velocity (units/sec). */
+        this.velocityY = 0;
+        /** @type {number} Remaining time (sec) a buffered jump press stays valid. */
+        this.jumpBufferTimer = 0;
+        /** @type {number} Remaining time (sec) the player can still jump after leaving the ground without jumping. */
+        this.coyoteTimer = 0;
+        /** @type {boolean} True while rising from a jump that can still be cut short by releasing Space. */
+        this.canCutJump = false;
+        /** @type {boolean} Whether Space has been seen held during the current jump. Only then does releasing it cut the jump (a buffered press is often released before takeoff). */
+        this.jumpHeldSeen = false;
+
+        /** @type {THREE.Vector3} Horizontal velocity from impulses and forces (units/sec), on top of the input-driven horizontalVelocity. Decays with drag. */
+        this.externalVelocity = new THREE.Vector3();
+        /** @type {THREE.Vector3} Impulses received since the last update (velocity change, before dividing by MASS). */
+        this.pendingImpulse = new THREE.Vector3();
+        /** @type {Array<{force: THREE.Vector3, remaining: number}>} Continuous forces and their remaining duration (seconds). */
+        this.externalForces = [];
+        /** @type {Stamina} Drained by running and jumping; when exhausted the player can only walk. Read it for a HUD via getStamina(). */
+        this.stamina = new Stamina(this.config.STAMINA || {});
+
+        /** @type {CollisionSystem | null} Collision world the player is swept against. Set via setCollisionSystem(). */
+        this.collisionSystem = null;
+        /** @type {THREE.Vector3} Normal of the ground the player is standing on (straight up when airborne or on flat ground). */
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        /** @type {THREE.Vector3} Where the player started; used to recover after falling out of the world. */
+        this.spawnPosition = player.position.clone();
+
+        /** @type {Array<MountController>} Mounts the player can ride. Set via setMounts(). */
+        this.mounts = [];
+        /** @type {MountController | null} The mount currently being ridden. */
+        this.mount = null;
+        /** @type {CameraController | null} Camera controller, for mount-specific framing. Set via setCameraController(). */
+        this.cameraController = null;
+
+        /** @type {{top: number, point: THREE.Vector3, normal: THREE.Vector3, climb: {from: THREE.Vector3, to: THREE.Vector3, elapsed: number}|null} | null} The ledge being hung from (and the climb in progress), or null. */
+        this.ledge = null;
+        /** @type {number} Remaining time (sec) after dropping before a ledge can be grabbed again. */
+        this.ledgeRegrabTimer = 0;
+
+        /** @type {THREE.EventDispatcher} Dispatches PLAYER_EVENTS. Use on()/off() rather than accessing it directly. */
+        this.events = new THREE.EventDispatcher();
+        /** @type {string | null} Current locomotion state (see PLAYER_EVENTS.LOCOMOTION_CHANGED). Updated every frame. */
+        this.locomotionState = null;
+
+        /** @type {Array<{name: string, fallback: string|null}>} Logical animations the current model has no clip for, and what they fall back to (null = skipped). Set by resolveAnimationClips(). */
+        this.unmappedAnimations = [];
+        /** @type {Object.<string, string|null>} Clip name per logical animation for the current model. Set by resolveAnimationClips(). */
+        this.animationClips = {};
+        // Drive the player's animations with the declarative state machine (starts in idle).
+        /** @type {AnimationStateMachine | null} Animation state machine, or null if the model has no animations. */
+        this.animationStateMachine = this.createAnimationStateMachine();
+        /** @type {RootMotion | null} Root motion extracted from the ROOT_MOTION_ANIMS clips, or null if none are used. */
+        this.rootMotion = this.createRootMotion();
+        /** @type {FootIK | null} Plants the feet on uneven ground after animation, or null if disabled or the bones are missing. */
+        this.footIK = this.createFootIK();
+        /** @type {LedgeGrab | null} Finds ledges to grab while airborne, or null if disabled. */
+        this.ledgeGrab = this.createLedgeGrab();
+    }
+
+    /**
+     * Applies a character's tuning: merges the overrides onto PLAYER_CONFIG and
+     * refreshes every value derived from it.
+     * @param {object} config - Per-character overrides for any PLAYER_CONFIG key.
+     */
+    applyConfig(config) {
+        /** @type {object} Effective tuning values for this character (PLAYER_CONFIG merged with overrides). */
+        this.config = { ...PLAYER_CONFIG, ...config };
+        /** @type {number} Player walk speed (units/sec). */
+        this.walkSpeed = this.config.WALK_SPEED;
+        /** @type {number} Player run speed (units/sec). */
+        this.runSpeed = this.config.RUN_SPEED;
         /** @type {number} Acceleration due to gravity (units/sec^2). */
-        this.gravity = PLAYER_CONFIG.GRAVITY;
+        this.gravity = this.config.GRAVITY;
         /** @type {number} Desired jump height (units). */
-        this.jumpHeight = PLAYER_CONFIG.JUMP_HEIGHT;
-        /** @type {number} The player's current vertical velocity (units/sec). */
+        this.jumpHeight = this.config.JUMP_HEIGHT;
+        /** @type {number} Minimum ground normal Y that is still walkable, derived from MAX_SLOPE_ANGLE. */
+        this.minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(this.config.MAX_SLOPE_ANGLE));
+    }
+
+    /**
+     * Creates the animation state machine for the current model's animations.
+     * Resolves each state's clip from the logical animation names (see resolveAnimationClips()).
+     * @returns {AnimationStateMachine | null} The state machine, or null if the model has no animations.
+     */
+    createAnimationStateMachine() {
+        if (!this.modelAnimations) return null;
+        const clips = this.resolveAnimationClips();
+        const borrowed = this.unmappedAnimations.map(({ name }) => name);
+        const states = {};
+        Object.entries(PLAYER_ANIM_STATES.states).forEach(([name, state]) => {
+            if (state.blend) {
+                states[name] = { ...state, blendSpace: this.createLocomotionBlendSpace(clips) };
+                return;
+            }
+            states[name] = { ...state, clip: clips[state.anim] };
+            // e.g. backpedal borrowing the walk clip plays it in reverse.
+            if (state.fallbackTimeScale !== undefined && borrowed.includes(state.anim)) {
+                states[name].timeScale = state.fallbackTimeScale;
+            }
+        });
+        return new AnimationStateMachine(this.modelAnimations, { ...PLAYER_ANIM_STATES, states, defaultFade: this.config.ANIM_FADE_DURATION });
+    }
+
+    /**
+     * Creates the 1D blend space for ground locomotion: idle at rest, walk and run at the speeds their clips were authored for.
+     * @param {Object.<string, string|null>} clips - Clip name per logical animation (from resolveAnimationClips()).
+     * @returns {LocomotionBlendSpace} The blend space, playing on the current model's mixer.
+     */
+    createLocomotionBlendSpace(clips) {
+        return new LocomotionBlendSpace(this.modelAnimations, [
+            { clip: clips.IDLE, speed: 0 },
+            { clip: clips.WALK, speed: this.config.WALK_ANIM_SPEED },
+            { clip: clips.RUN, speed: this.config.RUN_ANIM_SPEED },
+        ]);
+    }
+
+    /**
+     * Sets up root motion for the clips of the ROOT_MOTION_ANIMS logical animations (call after resolveAnimationClips()).
+     * Fallback clips shared with other animations are left alone, so e.g. a dodge falling back to idle doesn't strip idle.
+     * @returns {RootMotion | null} The root motion extractor, or null if no clip uses root motion.
+     */
+    createRootMotion() {
+        if (!this.modelAnimations) return null;
+        const rootMotion = new RootMotion(this.player, this.modelAnimations, this.config.ROOT_MOTION_BONE);
+        const fallbackNames = this.unmappedAnimations.map(({ name }) => name);
+        const extracted = this.config.ROOT_MOTION_ANIMS
+            .filter((name) => this.animationClips[name] && !fallbackNames.includes(name))
+            .filter((name) => rootMotion.extract(this.animationClips[name]));
+        return extracted.length > 0 ? rootMotion : null;
+    }
+
+    /**
+     * Sets up foot IK for the current model from the FOOT_IK config, reporting bones the model doesn't have.
+     * @returns {FootIK | null} The foot IK pass, or null if disabled or the model lacks the configured bones.
+     */
+    createFootIK() {
+        if (!this.config.FOOT_IK) return null;
+        const footIK = new FootIK(this.player, this.config.FOOT_IK);
+        if (!footIK.isValid()) {
+            const modelName = this.player.userData.path || this.player.name || 'player model';
+            console.warn(`PlayerController: foot IK disabled for ${modelName}, bones not found: ${footIK.missingBones.join(', ')}. Set them via FOOT_IK.BONES in its controller config.`);
+            return null;
+        }
+        return footIK;
+    }
+
+    /**
+     * Sets up ledge detection from the LEDGE_GRAB config.
+     * @returns {LedgeGrab | null} The ledge detector, or null if ledge grabbing is disabled.
+     */
+    createLedgeGrab() {
+        return this.config.LEDGE_GRAB ? new LedgeGrab(this.config.LEDGE_GRAB) : null;
+    }
+
+    /**
+     * Checks whether the current animation moves the player by root motion.
+     * @returns {boolean} True while a root-motion clip (e.g. a dodge) is playing.
+     */
+    isRootMotionActive() {
+        return Boolean(this.rootMotion && this.animationStateMachine
+            && this.rootMotion.isRootMotionAction(this.animationStateMachine.currentAction));
+    }
+
+    /**
+     * Maps the logical animations (ANIM_NAMES merged with the character's ANIMATIONS) to the model's clips,
+     * applying ANIM_FALLBACKS, and reports the ones the model has no clip for.
+     * @returns {Object.<string, string|null>} Clip name per logical animation (null if it will be skipped).
+     */
+    resolveAnimationClips() {
+        const names = { ...ANIM_NAMES, ...this.config.ANIMATIONS };
+        const { clips, unmapped } = AnimationStateMachine.resolveClips(this.modelAnimations.actions, names, ANIM_FALLBACKS);
+
+        this.unmappedAnimations = unmapped;
+        this.animationClips = clips;
+        if (unmapped.length > 0) {
+            const modelName = this.player.userData.path || this.player.name || 'player model';
+            const summary = unmapped
+                .map(({ name, fallback }) => (fallback ? `${name} (using ${fallback})` : `${name} (skipped)`))
+                .join(', ');
+            console.warn(
+                `PlayerController: ${modelName} has no clip for ${summary}. ` +
+                `Map them via ANIMATIONS in its controller config. Available clips: ${Object.keys(this.modelAnimations.actions).join(', ')}`
+            );
+        }
+        return clips;
+    }
+
+    /**
+     * Re-binds the controller to a different character model at runtime.
+     * The new model takes over the current position and facing; velocity and airborne state carry over,
+     * while speed, jump and animation tuning switch to the new character's config.
+     * @param {THREE.Object3D} model - The new character's 3D model.
+     * @param {{mixer: THREE.AnimationMixer, actions: Object.<string, THREE.AnimationAction>}|null} modelAnimations - The new model's animations.
+     * @param {object} [config={}] - The new character's overrides for any PLAYER_CONFIG key.
+     */
+    setCharacter(model, modelAnimations = null, config = {}) {
+        // Riding and hanging are tied to the old model; get off first.
+        if (this.mount) {
+            this.dismount();
+        }
+        if (this.ledge) {
+            this.releaseLedge();
+        }
+
+        // Hand over the transform, accounting for different model forward axes.
+        const previousForward = this.config.MODEL_FORWARD_DIRECTION;
+        this.applyConfig(config);
+        model.position.copy(this.player.position);
+        const forwardFix = new THREE.Quaternion().setFromUnitVectors(this.config.MODEL_FORWARD_DIRECTION, previousForward);
+        model.quaternion.copy(this.player.quaternion).multiply(forwardFix);
+        this.player = model;
+
+        // Swap the animation state machine over to the new model's mixer.
+        if (this.animationStateMachine) {
+            this.animationStateMachine.dispose();
+        }
+        this.modelAnimations = modelAnimations;
+        if (this.modelAnimations) {
+            this.modelAnimations.mixer.stopAllAction();
+        }
+        this.animationStateMachine = this.createAnimationStateMachine();
+        this.rootMotion = this.createRootMotion();
+        this.footIK = this.createFootIK();
+        this.ledgeGrab = this.createLedgeGrab();
+        // Keep how full the stamina is, on the new character's scale.
+        this.stamina.configure(this.config.STAMINA || {});
+    }
+
+    /**
+     * Gets the player's stamina for display (e.g. a HUD bar).
+     * @returns {{current: number, max: number, fraction: number, exhausted: boolean, enabled: boolean}}
+     *   Current and maximum stamina, the fill fraction (0-1), whether sprinting is locked until it recovers,
+     *   and whether this character uses stamina at all (STAMINA: false means unlimited).
+     */
+    getStamina() {
+        return {
+            current: this.stamina.current,
+            max: this.stamina.config.MAX,
+            fraction: this.stamina.getFraction(),
+            exhausted: this.stamina.exhausted,
+            enabled: Boolean(this.config.STAMINA),
+        };
+    }
+
+    /**
+     * Pushes the player instantly, e.g. knockback, a jump pad or an explosion. Applied on the next update.
+     * An upward impulse strong enough to beat gravity launches a grounded player into the air; hanging from a
+     * ledge, any impulse knocks the player off. Ignored while riding.
+     * @param {THREE.Vector3} impulse - Velocity change (units/sec) for a MASS of 1; divided by MASS.
+     */
+    applyImpulse(impulse) {
+        this.pendingImpulse.add(impulse);
+    }
+
+    /**
+     * Pushes the player continuously, e.g. wind or a conveyor, until the duration runs out or it is removed.
+     * Works like gravity: an upward force stronger than gravity lifts a grounded player off. Ignored while riding or hanging,
+     * but its duration keeps running out meanwhile (a short gust doesn't wait for the player to dismount).
+     * @param {THREE.Vector3} force - Acceleration (units/sec^2) for a MASS of 1; divided by MASS.
+     * @param {number} [duration=Infinity] - How long the force lasts (seconds).
+     * @returns {function()} Call to remove the force early.
+     */
+    addForce(force, duration = Infinity) {
+        const entry = { force: force.clone(), remaining: duration };
+        this.externalForces.push(entry);
+        return () => {
+            this.externalForces = this.externalForces.filter((other) => other !== entry);
+        };
+    }
+
+    /**
+     * Counts down the forces' durations without pushing the player (while riding or hanging, where forces are ignored).
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    expireExternalForces(delta) {
+        this.externalForces.forEach((entry) => {
+            entry.remaining -= delta;
+        });
+        this.externalForces = this.externalForces.filter((entry) => entry.remaining > 0);
+    }
+
+    /**
+     * Applies this frame's impulses and forces, then drag on the external velocity.
+     * Vertical pushes change velocityY (a grounded player lifts off if it beats gravity); horizontal pushes
+     * go into externalVelocity, which moves the player alongside the input-driven velocity.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @returns {boolean} True if this launched the player off the ground.
+     */
+    applyExternalForces(delta) {
+        // Total velocity change this frame.
+        const change = this.pendingImpulse.clone();
+        this.pendingImpulse.set(0, 0, 0);
+        this.externalForces.forEach((entry) => {
+            change.addScaledVector(entry.force, Math.min(delta, entry.remaining));
+            entry.remaining -= delta;
+        });
+        this.externalForces = this.externalForces.filter((entry) => entry.remaining > 0);
+        change.divideScalar(this.config.MASS);
+
+        // Vertical: lift off only if the push beats this frame's pull of gravity (so weak upward forces don't jitter).
+        let launched = false;
+        if (this.isJumping) {
+            this.velocityY += change.y;
+        } else if (change.y > -this.gravity * delta) {
+            this.isJumping = true;
+            this.velocityY = change.y;
+            this.canCutJump = false;
+            this.coyoteTimer = 0;
+            launched = true;
+        }
+
+        // Horizontal: external velocity, decaying with drag.
+        this.externalVelocity.x += change.x;
+        this.externalVelocity.z += change.z;
+        const drag = this.isJumping ? this.config.EXTERNAL_AIR_DRAG : this.config.EXTERNAL_DRAG;
+        this.externalVelocity.multiplyScalar(Math.exp(-drag * delta));
+        if (this.externalVelocity.lengthSq() < this.config.MOVEMENT_INPUT_THRESHOLD) {
+            this.externalVelocity.set(0, 0, 0);
+        }
+        return launched;
+    }
+
+    /**
+     * Subscribes to a player event.
+     * @param {string} type - One of PLAYER_EVENTS.
+     * @param {function(object)} listener - Called with the event object ({ type, target, ...payload }).
+     * @returns {function()} Call to unsubscribe (same as off(type, listener)).
+     */
+    on(type, listener) {
+        this.events.addEventListener(type, listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribes from a player event.
+     * @param {string} type - One of PLAYER_EVENTS.
+     * @param {function(object)} listener - The listener passed to on().
+     */
+    off(type, listener) {
+        this.events.removeEventListener(type, listener);
+    }
+
+    /**
+     * Dispatches a player event to its listeners.
+     * @param {string} type - One of PLAYER_EVENTS.
+     * @param {object} [payload={}] - Extra fields for the event object.
+     */
+    emit(type, payload = {}) {
+        this.events.dispatchEvent({ type, ...payload });
+    }
+
+    /**
+     * Works out the current locomotion state and dispatches LOCOMOTION_CHANGED when it differs from the last frame's.
+     * Called at the end of every update().
+     */
+    updateLocomotionState() {
+        let state;
+        if (this.mount) {
+            state = 'mounted';
+        } else if (this.ledge) {
+            state = this.ledge.climb ? 'climbing' : 'hanging';
+        } else if (this.isJumping) {
+            state = 'airborne';
+        } else {
+            // Ground states follow the actual speed (so accelerating into a run counts once it's faster than a walk).
+            const speed = this.horizontalVelocity.length();
+            if (speed < this.config.WALK_ANIM_MIN_SPEED) {
+                state = 'idle';
+            } else {
+                state = speed > (this.walkSpeed + this.runSpeed) / 2 ? 'run' : 'walk';
+            }
+        }
+        if (state === this.locomotionState) return;
+        const previous = this.locomotionState;
+        this.locomotionState = state;
+        this.emit(PLAYER_EVENTS.LOCOMOTION_CHANGED, { state, previous });
+    }
+
+    /**
+     * Runs the animation state machine with this frame's context and dispatches ANIMATION_CHANGED if it changed state.
+     * @param {object} context - Values read by the PLAYER_ANIM_STATES guards.
+     */
+    updateAnimation(context) {
+        if (!this.animationStateMachine) return;
+        const previous = this.animationStateMachine.currentState;
+        this.animationStateMachine.update(context);
+        const state = this.animationStateMachine.currentState;
+        if (state !== previous) {
+            this.emit(PLAYER_EVENTS.ANIMATION_CHANGED, { state, previous });
+        }
+    }
+
+    /**
+     * Sets the collision world used to block and deflect the player's movement.
+     * @param {CollisionSystem} collisionSystem - The collision system containing the scene's colliders.
+     */
+    setCollisionSystem(collisionSystem) {
+        this.collisionSystem = collisionSystem;
+    }
+
+    /**
+     * Sets the list of mounts the player can ride. The array is kept by reference,
+     * so mounts added later (e.g. after their model loads) are picked up too.
+     * @param {Array<MountController>} mounts - The rideable mounts in the scene.
+     */
+    setMounts(mounts) {
+        this.mounts = mounts;
+    }
+
+    /**
+     * Sets the camera controller, used to adjust framing (e.g. pulling back while riding).
+     * @param {CameraController} cameraController - The game's camera controller.
+     */
+    setCameraController(cameraController) {
+        this.cameraController = cameraController;
+    }
+
+    /**
+     * Finds the closest free mount within MOUNT_RANGE.
+     * @returns {MountController | null} The nearest available mount, or null if none is in range.
+     */
+    findNearestMount() {
+        let nearest = null;
+        let nearestDistance = this.config.MOUNT_RANGE;
+        this.mounts.forEach((mount) => {
+            if (!mount.isAvailable()) return;
+            const dx = mount.model.position.x - this.player.position.x;
+            const dz = mount.model.position.z - this.player.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance <= nearestDistance) {
+                nearest = mount;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Climbs onto a mount: stops the player's own movement, attaches them to the saddle
+     * and pulls the camera back to the mount's zoom.
+     * @param {MountController} mount - The mount to ride.
+     */
+    mountUp(mount) {
+        this.mount = mount;
+        mount.rider = this.player;
+        this.horizontalVelocity.set(0, 0, 0);
+        this.velocityY = 0;
+        this.isJumping = false;
+        mount.placeRider(this.player, this.config.MODEL_FORWARD_DIRECTION);
+        if (this.cameraController) {
+            this.cameraController.setZoomOverride(mount.config.CAMERA_ZOOM);
+            // The mount is right under the camera target; it must not pull the camera in.
+            this.cameraController.ignoreObject(mount.model);
+        }
+    }
+
+    /**
+     * Gets off the current mount and puts the player back on the ground next to it.
+     */
+    dismount() {
+        const mount = this.mount;
+        this.mount = null;
+        mount.rider = null;
+
+        // Stand next to the mount, upright and facing its direction.
+        this.player.position.copy(mount.getDismountPosition());
+        const facing = new THREE.Quaternion().setFromUnitVectors(this.config.MODEL_FORWARD_DIRECTION, mount.getForward());
+        this.player.quaternion.copy(facing);
+
+        if (this.collisionSystem) {
+            // Drop onto the ground below (or fall if there is none), and out of anything we overlap.
+            const origin = this.player.position.clone().setY(this.player.position.y + this.config.CAPSULE_HEIGHT);
+            const hit = this.collisionSystem.probeGround(origin, this.config.CAPSULE_HEIGHT * 2);
+            if (hit) {
+                this.player.position.y = hit.point.y;
+            } else {
+                // Riding counts as being on the ground, so this leaves it.
+                this.startFalling();
+                this.emit(PLAYER_EVENTS.LEFT_GROUND, { jumped: false });
+            }
+            this.collisionSystem.resolveCapsule(this.player.position, this.config.CAPSULE_RADIUS, this.config.CAPSULE_HEIGHT);
+        }
+
+        if (this.cameraController) {
+            this.cameraController.clearZoomOverride();
+            this.cameraController.unignoreObject(mount.model);
+        }
+    }
+
+    /**
+     * Per-frame update while riding: the mount handles movement, the player stays on the saddle.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    updateMounted(delta) {
+        // Jumping is disabled while riding; drop the press so it doesn't fire after dismounting.
+        this.inputManager.jumpTriggered = false;
+
+        this.mount.update(delta, this.inputManager);
+        this.mount.placeRider(this.player, this.config.MODEL_FORWARD_DIRECTION);
+
+        this.updateAnimation({
+            isMounted: true,
+            isGrounded: true,
+            isMoving: false,
+            isSprinting: false,
+            velocityY: 0,
+            speed: 0,
+            config: this.config,
+        });
+    }
+
+    /**
+     * Looks for a ledge in front of the airborne player and grabs it if one is within reach.
+     * Only near the top of a jump or while falling, and not right after dropping from a ledge.
+     * @returns {boolean} True if the player grabbed a ledge.
+     */
+    tryGrabLedge() {
+        if (!this.ledgeGrab || !this.collisionSystem || this.ledgeRegrabTimer > 0) return false;
+        if (this.velocityY > this.ledgeGrab.config.MAX_GRAB_UP_SPEED) return false;
+
+        // Probe in the direction the model faces (the velocity toward a wall is removed by wall sliding).
+        const forward = this.config.MODEL_FORWARD_DIRECTION.clone().applyQuaternion(this.player.quaternion).setY(0);
+        if (forward.lengthSq() === 0) return false;
+        const ledge = this.ledgeGrab.findLedge(this.collisionSystem, this.player.position, forward.normalize(), this.config.CAPSULE_RADIUS);
+        if (!ledge) return false;
+
+        this.grabLedge(ledge);
+        return true;
+    }
+
+    /**
+     * Snaps the player into the hanging position on a ledge, facing the wall, and frames the ledge with the camera.
+     * @param {{top: number, point: THREE.Vector3, normal: THREE.Vector3}} ledge - The ledge found by LedgeGrab.findLedge().
+     */
+    grabLedge(ledge) {
+        this.ledge = { ...ledge, climb: null };
+        this.horizontalVelocity.set(0, 0, 0);
         this.velocityY = 0;
+        this.canCutJump = false;
+        // No jump left over from before the grab (buffered press or coyote window) may fire after letting go.
+        this.jumpBufferTimer = 0;
+        this.coyoteTimer = 0;
+        this.snapToLedge();
 
-        // Store animation names for easy access
-        /** @type {object} Map of animation state names to actual animation clip names. */
-        this.animNames = ANIM_NAMES;
-        // Check if optional animations exist in the loaded model's actions
-        /** @type {boolean} True if a 'fall' animation action exists. */
-        this.hasFallAnimation = this.modelAnimations?.actions[this.animNames.FALL] !== undefined;
-        /** @type {boolean} True if a 'land' animation action exists. */
-        this.hasLandAnimation = this.modelAnimations?.actions[this.animNames.LAND] !== undefined;
+        // Climbing and dropping need a fresh press; forget presses from before the grab.
+        this.inputManager.jumpTriggered = false;
+        this.inputManager.consumeKeyPress('KeyW');
+        this.inputManager.consumeKeyPress('KeyS');
 
-        // Initialize the starting animation (usually Idle)
-        if (this.modelAnimations?.actions[this.animNames.IDLE]) {
-            this.switchAnimation(this.animNames.IDLE, 0); // Start idle instantly
+        if (this.cameraController) {
+            this.cameraController.setZoomOverride(this.ledgeGrab.config.CAMERA_ZOOM);
+            this.cameraController.setTargetHeightOverride(this.ledgeGrab.config.CAMERA_TARGET_HEIGHT);
         }
     }
 
+    /**
+     * Places the player at the current ledge's hanging position, facing the wall.
+     */
+    snapToLedge() {
+        this.player.position.copy(this.ledgeGrab.getHangPosition(this.ledge, this.config.CAPSULE_RADIUS));
+        const facing = new THREE.Quaternion().setFromUnitVectors(this.config.MODEL_FORWARD_DIRECTION, this.ledge.normal.clone().negate());
+        this.player.quaternion.copy(facing);
+    }
+
+    /**
+     * Lets go of the ledge: the player falls, and can't regrab for REGRAB_DELAY_MS.
+     */
+    releaseLedge() {
+        this.ledge = null;
+        // Still airborne since the jump or fall that reached the ledge (its LEFT_GROUND was sent then); LANDED follows on touchdown.
+        this.startFalling();
+        // Dropping is not leaving the ground: no coyote jump, and no buffered jump from before.
+        this.jumpBufferTimer = 0;
+        this.coyoteTimer = 0;
+        this.ledgeRegrabTimer = this.ledgeGrab.config.REGRAB_DELAY_MS / 1000;
+        if (this.cameraController) {
+            this.cameraController.clearTargetHeightOverride();
+            this.cameraController.clearZoomOverride();
+        }
+    }
+
+    /**
+     * Per-frame update while hanging from a ledge: A/D shimmy along it, W or Space start the climb, S drops.
+     * Shimmying follows the ledge and stops where it ends or is blocked.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    updateHanging(delta) {
+        const { keys } = this.inputManager;
+        let ledgeState = 'hang';
+        let dropped = false;
+
+        if (this.ledge.climb) {
+            ledgeState = this.updateClimb(delta) ? 'climb' : null;
+        } else if (this.inputManager.consumeKeyPress('KeyS')) {
+            this.releaseLedge();
+            ledgeState = null;
+            dropped = true;
+        } else if ((this.inputManager.consumeKeyPress('KeyW') || this.inputManager.jumpTriggered) && this.startClimb()) {
+            ledgeState = 'climb';
+        } else {
+            // Shimmy: D moves to the player's right along the wall, A to the left.
+            const shimmy = (keys.KeyD ? 1 : 0) - (keys.KeyA ? 1 : 0);
+            if (shimmy !== 0 && this.shimmy(shimmy, delta)) {
+                ledgeState = shimmy > 0 ? 'shimmyRight' : 'shimmyLeft';
+            }
+        }
+        // Jumping from a ledge isn't possible; Space only climbs.
+        this.inputManager.jumpTriggered = false;
+
+        this.updateAnimation({
+            isMounted: false,
+            isGrounded: ledgeState === null && !this.isJumping,
+            isMoving: false,
+            isSprinting: false,
+            velocityY: this.velocityY,
+            speed: 0,
+            config: this.config,
+            ledgeState,
+            dropped,
+        });
+    }
+
+    /**
+     * Moves the hanging player sideways along the ledge, if the ledge continues there.
+     * @param {number} direction - 1 for the player's right, -1 for their left.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @returns {boolean} True if the player moved.
+     */
+    shimmy(direction, delta) {
+        const { config } = this.ledgeGrab;
+        // The player's right, facing the wall.
+        const right = this.ledge.normal.clone().negate().cross(THREE.Object3D.DefaultUp);
+        const position = this.player.position.clone().addScaledVector(right, direction * config.SHIMMY_SPEED * delta);
+
+        // Blocked sideways (e.g. by another wall)?
+        const radius = this.config.CAPSULE_RADIUS;
+        if (!this.collisionSystem.capsuleFits(position, radius, this.config.CAPSULE_HEIGHT)) return false;
+
+        // Does the ledge continue here, at about the same height?
+        const ledge = this.ledgeGrab.findLedge(
+            this.collisionSystem,
+            position,
+            this.ledge.normal.clone().negate(),
+            radius,
+            config.HANG_HEIGHT - config.SHIMMY_STEP,
+            config.HANG_HEIGHT + config.SHIMMY_STEP
+        );
+        if (!ledge) return false;
+
+        // Follow the ledge's height and direction.
+        this.ledge = { ...ledge, climb: null };
+        this.snapToLedge();
+        return true;
+    }
+
+    /**
+     * Starts climbing onto the ledge, if there is room to stand on top.
+     * @returns {boolean} True if the climb started.
+     */
+    startClimb() {
+        const to = this.ledgeGrab.getClimbPosition(this.ledge, this.config.CAPSULE_RADIUS);
+        if (!this.collisionSystem.capsuleFits(to, this.config.CAPSULE_RADIUS, this.config.CAPSULE_HEIGHT)) return false;
+        this.ledge.climb = { from: this.player.position.clone(), to, elapsed: 0 };
+        // The camera follows the body up again; the zoom is restored once standing.
+        if (this.cameraController) {
+            this.cameraController.clearTargetHeightOverride();
+        }
+        return true;
+    }
+
+    /**
+     * Advances the climb: first up to the ledge top, then forward onto it. Ends standing on the ledge.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @returns {boolean} True while still climbing (false once the player stands on the ledge).
+     */
+    updateClimb(delta) {
+        const { config } = this.ledgeGrab;
+        const climb = this.ledge.climb;
+        climb.elapsed += delta;
+        const t = Math.min(1, climb.elapsed / config.CLIMB_DURATION);
+        const rise = Math.min(1, t / config.CLIMB_RISE_PORTION);
+        const forward = Math.max(0, (t - config.CLIMB_RISE_PORTION) / (1 - config.CLIMB_RISE_PORTION));
+
+        const position = this.player.position;
+        position.y = THREE.MathUtils.lerp(climb.from.y, climb.to.y, rise);
+        position.x = THREE.MathUtils.lerp(climb.from.x, climb.to.x, forward);
+        position.z = THREE.MathUtils.lerp(climb.from.z, climb.to.z, forward);
+        if (t < 1) return true;
+
+        // Standing on the ledge: back on the ground.
+        this.ledge = null;
+        this.isJumping = false;
+        this.velocityY = 0;
+        this.groundNormal.set(0, 1, 0);
+        this.emit(PLAYER_EVENTS.LANDED, { fallSpeed: 0 });
+        if (this.cameraController) {
+            this.cameraController.clearZoomOverride();
+        }
+        return false;
+    }
+
     /**
      * Calculates the intended movement direction vector based on WASD input
      * relative to the camera's current orientation on the horizontal plane.
@@ -123,165 +950,533 @@ export class PlayerController {
     }
 
     /**
-     * Switches the currently playing animation smoothly.
-     * Handles fading out the previous animation and fading in the new one.
-     * Manages non-looping animations like landing.
-     * @param {string} targetAnimName - The name (key from ANIM_NAMES) of the animation to switch to.
-     * @param {number} [fadeDuration=PLAYER_CONFIG.ANIM_FADE_DURATION] - The duration of the crossfade in seconds.
+     * Gets the direction the player faces while aiming: the camera's horizontal forward.
+     * @returns {THREE.Vector3} Normalized forward vector on the XZ plane.
+     */
+    getAimForward() {
+        if (this.cameraController) {
+            return this.cameraController.getForward();
+        }
+        const forward = new THREE.Vector3();
+        this.camera.getWorldDirection(forward);
+        return forward.setY(0).normalize();
+    }
+
+    /**
+     * Classifies the movement direction relative to the aim direction, for the strafe animations.
+     * @param {boolean} isAiming - Whether aim/strafe mode is active.
+     * @returns {'forward'|'back'|'left'|'right'|null} The dominant movement direction, or null when not aiming or standing still.
+     */
+    getStrafeDirection(isAiming) {
+        if (!isAiming || this.horizontalVelocity.length() < this.config.WALK_ANIM_MIN_SPEED) return null;
+        const forward = this.getAimForward();
+        const left = new THREE.Vector3().crossVectors(THREE.Object3D.DefaultUp, forward);
+        const forwardAmount = this.horizontalVelocity.dot(forward);
+        const leftAmount = this.horizontalVelocity.dot(left);
+        if (Math.abs(forwardAmount) >= Math.abs(leftAmount)) {
+            return forwardAmount >= 0 ? 'forward' : 'back';
+        }
+        return leftAmount >= 0 ? 'left' : 'right';
+    }
+
+    /**
+     * Updates the horizontal velocity on the ground using a momentum model:
+     * - With input, the velocity direction turns toward the input at TURN_RATE and the speed
+     *   accelerates (ACCELERATION) or decelerates (DECELERATION) toward movementSpeed.
+     *   Reversing direction (more than 90 degrees) brakes first, then accelerates the other way.
+     * - Without input, the player slows down at DECELERATION * GROUND_FRICTION.
+     * @param {THREE.Vector3} moveDirection - Normalized desired direction on the XZ plane (zero vector if no input).
+     * @param {number} delta - The time elapsed since the last frame in seconds.
      */
-    switchAnimation(targetAnimName, fadeDuration = PLAYER_CONFIG.ANIM_FADE_DURATION) {
-        // Ensure animation data is available
-        if (!this.modelAnimations || !this.modelAnimations.actions) return;
+    applyGroundMovement(moveDirection, delta) {
+        const speed = this.horizontalVelocity.length();
 
-        // Get the target animation action from the stored map
-        const targetAction = this.modelAnimations.actions[targetAnimName];
+        // No input: coast to a stop, scaled by ground friction.
+        if (moveDirection.lengthSq() === 0) {
+            const newSpeed = Math.max(0, speed - this.config.DECELERATION * this.config.GROUND_FRICTION * delta);
+            if (newSpeed === 0) {
+                this.horizontalVelocity.set(0, 0, 0);
+            } else {
+                this.horizontalVelocity.setLength(newSpeed);
+            }
+            return;
+        }
 
-        // If the target animation doesn't exist in the model, do nothing
-        if (!targetAction) {
-            // console.warn(`Animation "${targetAnimName}" not found!`); // Optional warning
+        // Standing still: start moving straight in the input direction.
+        if (speed <= this.config.MOVEMENT_INPUT_THRESHOLD) {
+            this.horizontalVelocity.copy(moveDirection).multiplyScalar(Math.min(this.movementSpeed, this.config.ACCELERATION * delta));
             return;
         }
 
-        // If the target animation is already the current one, do nothing
-        if (this.currentAnimation === targetAction) return;
+        const direction = this.horizontalVelocity.clone().divideScalar(speed);
+        const angle = direction.angleTo(moveDirection);
 
-        // Fade out the current animation, if one is playing
-        if (this.currentAnimation) {
-            // Special case: If fading out from 'Land', stop it immediately instead of fading
-            if (this.currentAnimation === this.modelAnimations.actions[this.animNames.LAND]) {
-                 this.currentAnimation.stop(); // Avoid fade-out if it was landing
+        // Reversing: brake along the current direction until stopped, then turn around.
+        if (angle > Math.PI / 2) {
+            const newSpeed = speed - this.config.DECELERATION * delta;
+            if (newSpeed <= 0) {
+                this.horizontalVelocity.set(0, 0, 0);
             } else {
-                 this.currentAnimation.fadeOut(fadeDuration);
+                this.horizontalVelocity.setLength(newSpeed);
             }
+            return;
+        }
+
+        // Turn the direction toward the input, limited by the turn rate.
+        const maxTurn = THREE.MathUtils.degToRad(this.config.TURN_RATE) * delta;
+        if (angle > maxTurn) {
+            // Rotate around Y; the sign comes from which side the input is on.
+            const turnSign = Math.sign(direction.x * moveDirection.z - direction.z * moveDirection.x) || 1;
+            direction.applyAxisAngle(THREE.Object3D.DefaultUp, -turnSign * maxTurn);
+        } else {
+            direction.copy(moveDirection);
         }
 
-        // Reset the target animation, set its weight, fade it in, and play
-        targetAction.reset() // Go back to the start
-                   .setEffectiveWeight(1.0) // Ensure it has full influence
-                   .fadeIn(fadeDuration) // Fade in smoothly
-                   .play(); // Start playing
+        // Accelerate or decelerate toward the target speed.
+        const newSpeed = speed < this.movementSpeed
+            ? Math.min(this.movementSpeed, speed + this.config.ACCELERATION * delta)
+            : Math.max(this.movementSpeed, speed - this.config.DECELERATION * delta);
+        this.horizontalVelocity.copy(direction).multiplyScalar(newSpeed);
+    }
 
-        // Store the new action as the current one
-        this.currentAnimation = targetAction;
+    /**
+     * Steers the horizontal velocity while airborne (AIR_CONTROL_MODE 'steerable').
+     * Velocity moves toward the input direction at a rate limited by AIR_CONTROL * AIR_ACCELERATION.
+     * Steering can't push the speed above AIR_MAX_SPEED, but a faster takeoff speed is preserved.
+     * With no input, the takeoff momentum is kept unchanged.
+     * @param {THREE.Vector3} moveDirection - Normalized desired direction on the XZ plane (zero vector if no input).
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    applyAirControl(moveDirection, delta) {
+        // No input means no steering; keep the current momentum.
+        if (moveDirection.lengthSq() === 0) return;
 
-        // Handle settings for non-looping animations
-        if (targetAnimName === this.animNames.LAND) {
-            targetAction.clampWhenFinished = true; // Pause on last frame when done
-            targetAction.loop = THREE.LoopOnce;   // Play only once
-        } else {
-            // Ensure all other animations loop by default
-            targetAction.loop = THREE.LoopRepeat;
+        const speedBefore = this.horizontalVelocity.length();
+        // Target air speed follows the current sprint/aim state (movementSpeed is updated in the air too), but never exceeds the air speed cap.
+        const targetSpeed = Math.min(this.movementSpeed, this.config.AIR_MAX_SPEED);
+        const desiredVelocity = moveDirection.clone().multiplyScalar(targetSpeed);
+
+        // Limit how much the velocity may change this frame based on the authority factor.
+        const maxChange = this.config.AIR_CONTROL * this.config.AIR_ACCELERATION * delta;
+        const change = desiredVelocity.sub(this.horizontalVelocity);
+        if (change.length() > maxChange) {
+            change.setLength(maxChange);
+        }
+        this.horizontalVelocity.add(change);
+
+        // Steering may redirect a fast takeoff, but never make it faster than max(takeoff speed, cap).
+        const speedLimit = Math.max(speedBefore, this.config.AIR_MAX_SPEED);
+        if (this.horizontalVelocity.length() > speedLimit) {
+            this.horizontalVelocity.setLength(speedLimit);
         }
     }
 
+    /**
+     * Re-does this frame's movement as a capsule sweep through the collision world,
+     * then adjusts velocities based on what was hit:
+     * - Floors (top faces): end the jump/fall, like the ground check.
+     * - Ceilings: cancel upward velocity.
+     * - Walls: remove the velocity component pointing into the wall, so the player slides along it.
+     * @param {THREE.Vector3} startPosition - The player's position at the start of the frame.
+     * @returns {boolean} True if the player landed on top of a collider this frame.
+     */
+    resolveCollisions(startPosition) {
+        // Rewind to the start position and sweep the full displacement.
+        const displacement = this.player.position.clone().sub(startPosition);
+        this.player.position.copy(startPosition);
+        const contacts = this.collisionSystem.moveCapsule(
+            this.player.position,
+            displacement,
+            this.config.CAPSULE_RADIUS,
+            this.config.CAPSULE_HEIGHT,
+            // On the ground, low obstacles are stepped onto by the ground probe instead of blocking.
+            { stepHeight: this.isJumping ? 0 : this.config.STEP_HEIGHT }
+        );
+
+        let landed = false;
+        contacts.forEach(({ normal }) => {
+            if (normal.y >= this.config.GROUND_NORMAL_THRESHOLD) {
+                // Standing on top of a collider: treat it like the ground when falling onto it.
+                if (this.isJumping && this.velocityY <= 0) {
+                    this.isJumping = false;
+                    this.velocityY = 0;
+                    landed = true;
+                }
+            } else if (normal.y <= -this.config.GROUND_NORMAL_THRESHOLD) {
+                // Hit a ceiling: stop rising.
+                this.velocityY = Math.min(this.velocityY, 0);
+            } else {
+                // Hit a wall: slide by removing the velocity component pointing into it.
+                const wallNormal = new THREE.Vector3(normal.x, 0, normal.z).normalize();
+                [this.horizontalVelocity, this.externalVelocity].forEach((velocity) => {
+                    const intoWall = velocity.dot(wallNormal);
+                    if (intoWall < 0) {
+                        velocity.addScaledVector(wallNormal, -intoWall);
+                    }
+                });
+            }
+        });
+        return landed;
+    }
+
+    /**
+     * Checks whether a ground normal is flat enough to stand on (see MAX_SLOPE_ANGLE).
+     * @param {THREE.Vector3} normal - The world-space ground normal.
+     * @returns {boolean} True if the surface is walkable.
+     */
+    isWalkable(normal) {
+        return normal.y >= this.minGroundNormalY;
+    }
+
+    /**
+     * Switches to the airborne state without jumping (walked off a ledge, ground vanished, too steep).
+     * The fall animation is picked up by the airborne physics block on the next frame.
+     */
+    startFalling() {
+        this.isJumping = true;
+        this.velocityY = 0;
+        this.groundNormal.set(0, 1, 0);
+    }
+
+    /**
+     * Ground detection for this frame. Uses downward probes against the CollisionSystem,
+     * or falls back to a flat floor at y = 0 if there is no collision system.
+     * - Grounded: snaps onto the floor found within STEP_HEIGHT above / SNAP_DOWN_DISTANCE below the feet.
+     *   Higher surfaces and steep slopes block movement; no floor (or a steep drop) switches to falling.
+     * - Airborne: lands on walkable ground crossed while moving down this frame; slides off steep surfaces.
+     * @param {THREE.Vector3} startPosition - The player's position at the start of the frame.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     * @returns {boolean} True if the player landed this frame (false for a respawn after falling out of the world).
+     */
+    updateGround(startPosition, delta) {
+        const position = this.player.position;
+
+        // Recover from falling out of the world.
+        if (position.y < this.config.FALL_RESET_Y) {
+            position.copy(this.spawnPosition);
+            this.horizontalVelocity.set(0, 0, 0);
+            this.isJumping = false;
+            this.velocityY = 0;
+            // A respawn, not a landing: no LANDED event or land animation. Listeners snap anything that follows the player.
+            this.emit(PLAYER_EVENTS.RESPAWNED, { position: position.clone() });
+            return false;
+        }
+
+        // No collision world: keep the original flat ground at y = 0.
+        if (!this.collisionSystem) {
+            if (this.isJumping && position.y <= 0) {
+                position.y = 0;
+                this.isJumping = false;
+                this.velocityY = 0;
+                return true;
+            }
+            return false;
+        }
+
+        if (!this.isJumping) {
+            // --- Grounded: follow the floor ---
+            // Probe from the top of the capsule down to snap distance below the feet,
+            // so surfaces the body would run into (ramp sides, overhangs) are found too.
+            const origin = new THREE.Vector3(position.x, position.y + this.config.CAPSULE_HEIGHT, position.z);
+            const hit = this.collisionSystem.probeGround(origin, this.config.CAPSULE_HEIGHT + this.config.SNAP_DOWN_DISTANCE);
+
+            if (!hit) {
+                // The ground disappeared under us (walked off a ledge).
+                this.startFalling();
+                return false;
+            }
+            const walkable = this.isWalkable(hit.normal);
+            const rise = hit.point.y - startPosition.y;
+            if (rise > this.config.STEP_HEIGHT || (!walkable && rise > 0)) {
+                // Too high to step onto, or too steep to walk up: cancel this frame's horizontal movement.
+                position.x = startPosition.x;
+                position.z = startPosition.z;
+                return false;
+            }
+            if (!walkable) {
+                // Too steep to stand on going down: slide off.
+                this.startFalling();
+                return false;
+            }
+            // Walkable: stick to it (steps up, ramps, small drops).
+            position.y = hit.point.y;
+            this.groundNormal.copy(hit.normal);
+            return false;
+        }
+
+        // --- Airborne: look for ground crossed while falling this frame ---
+        if (this.velocityY > 0) return false;
+        const probeOffset = this.config.CAPSULE_RADIUS;
+        const origin = new THREE.Vector3(position.x, Math.max(startPosition.y, position.y) + probeOffset, position.z);
+        const hit = this.collisionSystem.probeGround(origin, origin.y - position.y);
+        if (!hit) return false;
+
+        // Never end up below the surface.
+        position.y = hit.point.y;
+        if (!this.isWalkable(hit.normal)) {
+            // Too steep to land on: slide down it, pushed away along the slope by gravity.
+            this.velocityY = 0;
+            const slideDirection = new THREE.Vector3(hit.normal.x, 0, hit.normal.z).normalize();
+            this.horizontalVelocity.addScaledVector(slideDirection, -this.gravity * delta);
+            return false;
+        }
+
+        this.isJumping = false;
+        this.velocityY = 0;
+        this.groundNormal.copy(hit.normal);
+        return true;
+    }
+
     /**
      * Updates the player's state, position, rotation, and animation each frame.
      * @param {number} delta - The time elapsed since the last frame in seconds. Essential for frame-rate independent physics.
      */
     update(delta) {
+        // --- Stamina ---
+        // Regenerates once nothing has used it for REGEN_DELAY_MS (also while riding).
+        this.stamina.update(delta);
+
+        // --- Mounting ---
+        // The interact key mounts a nearby mount (when on the ground) or dismounts the current one.
+        const interactPressed = this.inputManager.consumeKeyPress(this.config.INTERACT_KEY);
+        if (this.mount && interactPressed) {
+            this.dismount();
+        } else if (!this.mount && interactPressed && !this.isJumping) {
+            const mount = this.findNearestMount();
+            if (mount) this.mountUp(mount);
+        }
+        if (this.mount) {
+            // Pushes don't move a rider (and shouldn't pile up until dismounting).
+            this.pendingImpulse.set(0, 0, 0);
+            this.expireExternalForces(delta);
+            this.updateMounted(delta);
+            // Let the feet go while riding.
+            if (this.footIK) this.footIK.update(delta, this.collisionSystem, false);
+            this.updateLocomotionState();
+            return;
+        }
+
+        // --- Ledge Hang ---
+        // While hanging or climbing, the ledge controls the player.
+        this.ledgeRegrabTimer = Math.max(0, this.ledgeRegrabTimer - delta);
+        // An impulse knocks the player off the ledge (and is applied below).
+        if (this.ledge && this.pendingImpulse.lengthSq() > 0) {
+            this.releaseLedge();
+        }
+        if (this.ledge) {
+            this.expireExternalForces(delta);
+            this.updateHanging(delta);
+            if (this.footIK) this.footIK.update(delta, this.collisionSystem, false);
+            this.updateLocomotionState();
+            return;
+        }
+
+        // Whether the player starts this frame on the ground (to detect leaving it).
+        const wasGrounded = !this.isJumping;
+
         // Get current input states
         const isMoving = this.inputManager.isMoving();       // Is any WASD key pressed?
-        const isSprinting = this.inputManager.isSprinting(); // Is Left or Right Shift pressed?
+        // Aim/strafe mode: holding the aim button faces the camera direction (no sprinting meanwhile).
+        const isAiming = Boolean(this.inputManager.mouseDown[this.config.AIM_MOUSE_BUTTON]);
+        // Is Left or Right Shift pressed? An exhausted player can only walk until stamina recovers.
+        const usesStamina = Boolean(this.config.STAMINA);
+        const isSprinting = this.inputManager.isSprinting() && !isAiming && !(usesStamina && this.stamina.exhausted);
 
-        // --- Calculate Horizontal Movement (ONLY IF ON GROUND) ---
-        // This ensures no air control - horizontal velocity is fixed once airborne.
-        if (!this.isJumping) {
-            // Determine current speed based on sprinting state
+        // Get the desired movement direction based on input and camera
+        const moveDirection = this.calculateMovementDirection();
+
+        // --- Root Motion ---
+        // Collect this frame's root motion (always, so it stays in sync with the clips).
+        const rootMotionDisplacement = this.rootMotion ? this.rootMotion.update() : null;
+        const rootMotionActive = this.isRootMotionActive();
+
+        // --- Calculate Horizontal Movement ---
+        // Determine target speed based on aiming/sprinting state (on the ground and, for air control, in the air).
+        if (isAiming) {
+            this.movementSpeed = this.config.AIM_MOVE_SPEED;
+        } else {
             this.movementSpeed = isSprinting ? this.runSpeed : this.walkSpeed;
-            // Get the desired movement direction based on input and camera
-            const moveDirection = this.calculateMovementDirection();
-            // Calculate final horizontal velocity: Velocity = Direction * Speed
-            // Use clone() so the original moveDirection isn't modified by multiplyScalar
-            this.horizontalVelocity = moveDirection.clone().multiplyScalar(this.movementSpeed);
         }
-        // If currently jumping, this.horizontalVelocity retains the value from the moment of takeoff.
 
+        if (rootMotionActive && !this.isJumping && delta > 0) {
+            // The clip moves the player: turn its displacement into this frame's velocity,
+            // so collisions and ground checks below apply as usual.
+            this.horizontalVelocity.copy(rootMotionDisplacement).divideScalar(delta);
+        } else if (!this.isJumping) {
+            // Accelerate, decelerate and turn the current velocity toward the desired one.
+            this.applyGroundMovement(moveDirection, delta);
+            // Running uses stamina (running out drops the player to walk speed from the next frame).
+            if (usesStamina && isSprinting && isMoving) {
+                this.stamina.drain(this.stamina.config.SPRINT_DRAIN, delta);
+            }
+        } else if (this.config.AIR_CONTROL_MODE === AIR_CONTROL_MODES.STEERABLE) {
+            // Steerable jump: nudge the takeoff velocity toward the input direction.
+            this.applyAirControl(moveDirection, delta);
+        }
+        // In committed mode, this.horizontalVelocity retains the value from the moment of takeoff.
+
+
+        // --- Jump Buffer & Coyote Time ---
+        // Move a fresh jump press into the buffer; it stays valid for JUMP_BUFFER_MS.
+        this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - delta);
+        if (this.inputManager.jumpTriggered) {
+            this.jumpBufferTimer = this.config.JUMP_BUFFER_MS / 1000;
+            this.inputManager.jumpTriggered = false; // Consume the press; the buffer timer takes over
+        }
+        // Coyote time refills while grounded and runs out after leaving the ground.
+        if (!this.isJumping) {
+            this.coyoteTimer = this.config.COYOTE_TIME_MS / 1000;
+        } else {
+            this.coyoteTimer = Math.max(0, this.coyoteTimer - delta);
+        }
 
         // --- Jump Trigger Logic ---
-        // Check if the jump action was triggered and if the player is not already jumping
-        if (this.inputManager.jumpTriggered && !this.isJumping) {
+        let justJumped = false; // Flag for the animation state machine
+        // Jump if a press is buffered and the player is on the ground (or just left it)
+        // (not during root-motion moves, which finish first)
+        // (and, with stamina, only if the jump can be paid for)
+        const hasJumpStamina = !usesStamina || this.stamina.canSpend(this.stamina.config.JUMP_COST);
+        const canJump = (!this.isJumping || this.coyoteTimer > 0) && !rootMotionActive && hasJumpStamina;
+        if (this.jumpBufferTimer > 0 && canJump) {
+            if (usesStamina) this.stamina.spend(this.stamina.config.JUMP_COST);
             this.isJumping = true; // Enter the jumping state
             // Calculate the initial upward velocity needed to reach the desired jump height
             // Physics formula: v0 = sqrt(-2 * gravity * jumpHeight)
             this.velocityY = Math.sqrt(-2 * this.gravity * this.jumpHeight);
-            this.inputManager.jumpTriggered = false; // Consume the jump trigger so it doesn't fire again
-            this.switchAnimation(this.animNames.JUMP); // Play the jump animation
+            this.jumpBufferTimer = 0; // The buffered press is used up
+            this.coyoteTimer = 0;     // No second jump from coyote time
+            this.canCutJump = true;   // Releasing Space while rising makes this a short hop
+            this.jumpHeldSeen = this.inputManager.isJumpHeld();
+            justJumped = true; // Lets the animation state machine play the jump animation
+            this.emit(PLAYER_EVENTS.JUMPED, { velocityY: this.velocityY });
             // Note: horizontalVelocity already holds the correct takeoff velocity from the block above.
         }
 
+        // --- External Forces ---
+        // Impulses and forces from game code (knockback, jump pads, wind); may launch the player into the air.
+        const justLaunched = this.applyExternalForces(delta);
+
 
         // --- Physics & Position Update ---
+        // Remember where this frame's movement starts, so collisions can sweep the whole move.
+        const startPosition = this.player.position.clone();
         let justLanded = false; // Flag to detect the exact frame of landing
         // Apply physics updates only if the player is in the jumping state (which includes falling)
         if (this.isJumping) {
+            // Variable jump height: releasing Space while still rising cuts the upward velocity once.
+            // Only after Space was seen held, so a buffered press released before takeoff still gives a full jump.
+            const jumpHeld = this.inputManager.isJumpHeld();
+            if (jumpHeld) this.jumpHeldSeen = true;
+            if (this.canCutJump && this.jumpHeldSeen && this.velocityY > 0 && !jumpHeld) {
+                this.velocityY *= this.config.JUMP_CUT_MULTIPLIER;
+                this.canCutJump = false;
+            }
+
             // Apply gravity to vertical velocity: v = v0 + (g * t)
             this.velocityY += this.gravity * delta;
+            // Past the apex, the jump can no longer be cut.
+            if (this.velocityY <= 0) {
+                this.canCutJump = false;
+            }
 
             // Apply vertical velocity to position: y = y0 + (v * t)
             this.player.position.y += this.velocityY * delta;
-
-            // Optional: Switch to a falling animation if one exists and vertical velocity is negative (moving down)
-            if (this.hasFallAnimation && this.velocityY <= 0) {
-                this.switchAnimation(this.animNames.FALL);
-            }
-
-            // Ground Check: Detect if player has hit or gone below the ground (y=0)
-            if (this.player.position.y <= 0) {
-                this.player.position.y = 0; // Clamp position exactly to the ground
-                this.isJumping = false;      // Exit the jumping state
-                this.velocityY = 0;         // Reset vertical velocity
-                justLanded = true;           // Set the flag for this frame
-                // horizontalVelocity will be recalculated next frame based on input.
-            }
         }
 
+        // Downward speed before any landing this frame zeroes it (reported with LANDED).
+        const fallSpeed = Math.max(0, -this.velocityY);
+
         // --- Apply Horizontal Movement ---
         // This occurs whether jumping or on the ground.
         // Uses the velocity calculated this frame (if on ground) or the takeoff velocity (if jumping).
         // Position update: x = x0 + (vx * t)
-        this.player.position.x += this.horizontalVelocity.x * delta;
-        this.player.position.z += this.horizontalVelocity.z * delta;
+        // External velocity (knockback, wind) moves the player on top of it.
+        this.player.position.x += (this.horizontalVelocity.x + this.externalVelocity.x) * delta;
+        this.player.position.z += (this.horizontalVelocity.z + this.externalVelocity.z) * delta;
+
+        // --- Collision Resolution ---
+        // Sweep the capsule along this frame's movement so colliders block it and the player slides along walls.
+        if (this.collisionSystem && this.resolveCollisions(startPosition)) {
+            justLanded = true;
+        }
+
+        // --- Ground Detection ---
+        // Follow the floor while grounded (slopes, steps, small drops) or detect landing while airborne.
+        if (this.updateGround(startPosition, delta)) {
+            justLanded = true;
+        }
+
+        // --- Ground Events ---
+        if (wasGrounded && this.isJumping) {
+            this.emit(PLAYER_EVENTS.LEFT_GROUND, { jumped: justJumped });
+        }
+        if (justLanded) {
+            this.emit(PLAYER_EVENTS.LANDED, { fallSpeed });
+        }
+
+
+        // --- Ledge Grab ---
+        // Airborne near a wall: grab its top if it's within reach (hanging starts next frame).
+        if (this.isJumping && !rootMotionActive && this.tryGrabLedge()) {
+            if (this.footIK) this.footIK.update(delta, this.collisionSystem, false);
+            this.updateLocomotionState();
+            return;
+        }
 
 
         // --- Rotation ---
-        // Rotate the player model to face the movement direction, but only when moving on the ground.
-        if (isMoving && !this.isJumping) {
+        // Rotate the player model to face the movement direction when moving on the ground,
+        // or while airborne if air turning is enabled for this character.
+        // Root-motion moves keep the facing they started with.
+        const canRotate = (!this.isJumping || this.config.AIR_TURNING) && !rootMotionActive;
+        if (isAiming && !rootMotionActive) {
+            // Aiming: face the camera direction (moving or not, on the ground or in the air) and strafe.
+            const targetQuaternion = new THREE.Quaternion().setFromUnitVectors(this.config.MODEL_FORWARD_DIRECTION, this.getAimForward());
+            this.player.quaternion.slerp(targetQuaternion, this.config.AIM_ROTATION_SPEED);
+        } else if (isMoving && canRotate) {
              // Check if there is significant horizontal velocity to avoid rotating to zero vector
-             if (this.horizontalVelocity.lengthSq() > PLAYER_CONFIG.MOVEMENT_INPUT_THRESHOLD) {
+             if (this.horizontalVelocity.lengthSq() > this.config.MOVEMENT_INPUT_THRESHOLD) {
                 // Get the normalized direction from the horizontal velocity vector
                 const lookDirection = this.horizontalVelocity.clone().normalize();
                 // Calculate the target rotation (Quaternion) to align the model's forward with the lookDirection
                 const targetQuaternion = new THREE.Quaternion().setFromUnitVectors(
-                    PLAYER_CONFIG.MODEL_FORWARD_DIRECTION, // Model's default forward
+                    this.config.MODEL_FORWARD_DIRECTION, // Model's default forward
                     lookDirection                          // Desired world direction
                 );
                 // Smoothly interpolate the player's current rotation towards the target rotation using Spherical Linear Interpolation (slerp)
-                this.player.quaternion.slerp(targetQuaternion, PLAYER_CONFIG.ROTATION_SPEED);
+                // Airborne turning uses its own (usually slower) rate.
+                const rotationSpeed = this.isJumping ? this.config.AIR_ROTATION_SPEED : this.config.ROTATION_SPEED;
+                this.player.quaternion.slerp(targetQuaternion, rotationSpeed);
              }
         }
 
 
         // --- Animation Update ---
-        // Handle animation transitions based on state (landing, on ground, moving/idle)
-        if (justLanded) {
-            // If a landing animation exists, play it.
-            if (this.hasLandAnimation) {
-                this.switchAnimation(this.animNames.LAND);
-                // Note: A more robust system might wait for the land animation to finish
-                // before transitioning to idle/walk/run, possibly using the AnimationMixer's 'finished' event.
-            } else {
-                 // If no landing animation, immediately switch to the appropriate ground animation
-                 const targetGroundAnim = isMoving ? (isSprinting ? this.animNames.RUN : this.animNames.WALK) : this.animNames.IDLE;
-                 this.switchAnimation(targetGroundAnim);
-            }
-        } else if (!this.isJumping) { // If on the ground (and not the exact landing frame)
-            // Only switch animations if the current one is set to loop (e.g., not interrupting 'Land')
-            if (!this.currentAnimation || this.currentAnimation.loop === THREE.LoopRepeat) {
-                // Determine target animation based on moving/sprinting state
-                const targetGroundAnim = isMoving ? (isSprinting ? this.animNames.RUN : this.animNames.WALK) : this.animNames.IDLE;
-                this.switchAnimation(targetGroundAnim); // Switch to the determined ground animation
-            }
+        // The state machine picks jump/fall/land/locomotion/emote/dodge from this frame's state.
+        this.updateAnimation({
+            isMounted: false,
+            isGrounded: !this.isJumping,
+            isMoving,
+            isSprinting,
+            velocityY: this.velocityY,
+            speed: this.horizontalVelocity.length(),
+            config: this.config,
+            jumped: justJumped,
+            launched: justLaunched,
+            landed: justLanded,
+            emote: this.inputManager.consumeKeyPress(this.config.EMOTE_KEY),
+            dodge: this.inputManager.consumeKeyPress(this.config.DODGE_KEY),
+            isAiming,
+            strafeDirection: this.getStrafeDirection(isAiming),
+        });
+
+        // --- Foot IK ---
+        // Runs after the mixer posed the skeleton and the model was moved; plants the feet on uneven ground.
+        if (this.footIK) {
+            this.footIK.update(delta, this.collisionSystem, !this.isJumping);
         }
-        // Note: Jump/Fall animations are handled within the isJumping physics block.
+
+        // --- Events ---
+        this.updateLocomotionState();
     }
 }
\ No newline at end of file
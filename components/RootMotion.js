@@ -0,0 +1,139 @@
+// RootMotion.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+// Horizontal root offsets already extracted per clip. Clips are shared between actions (and survive character
+// switches), and extraction strips the clip in place, so a clip must only ever be extracted once.
+const EXTRACTED_OFFSETS = new WeakMap();
+
+/**
+ * Extracts root motion from animation clips so the controller, not the clip, moves the character.
+ * For each opted-in clip, the root bone's horizontal translation is removed from the clip (the animation
+ * plays in place) and kept as a separate offset curve. Every frame, update() returns how far those curves
+ * moved for the playing actions, which the owner applies as movement (through collisions and ground checks).
+ * Vertical root translation (crouches, hops) stays in the clip.
+ */
+export class RootMotion {
+    /**
+     * Initializes root motion extraction for a model.
+     * @param {THREE.Object3D} model - The animated model (its root is what the extracted motion moves).
+     * @param {{mixer: THREE.AnimationMixer, actions: Object.<string, THREE.AnimationAction>}} modelAnimations - The model's mixer and actions map.
+     * @param {string} boneName - Name of the root bone whose translation carries the motion (e.g. 'mixamorigHips_01'; GLTFLoader drops ':' from node names).
+     */
+    constructor(model, modelAnimations, boneName) {
+        /** @type {THREE.Object3D} The animated model. */
+        this.model = model;
+        /** @type {Object.<string, THREE.AnimationAction>} The model's actions by clip name. */
+        this.actions = modelAnimations.actions;
+        /** @type {THREE.Object3D | undefined} The root bone. */
+        this.bone = model.getObjectByName(boneName);
+        /** @type {string} Name of the root bone. */
+        this.boneName = boneName;
+        /** @type {Array<{action: THREE.AnimationAction, interpolant: THREE.Interpolant, lastTime: number}>} Actions with extracted root motion. */
+        this.entries = [];
+    }
+
+    /**
+     * Opts a clip into root motion: strips the root bone's horizontal translation from it and keeps it for update().
+     * @param {string} clipName - Name of the clip in the actions map.
+     * @returns {boolean} True if the clip now uses root motion (false if the clip, bone or its position track is missing).
+     */
+    extract(clipName) {
+        const action = this.actions[clipName];
+        if (!action || !this.bone) return false;
+        if (this.entries.some((entry) => entry.action === action)) return true;
+
+        const clip = action.getClip();
+        let offsets = EXTRACTED_OFFSETS.get(clip);
+        if (!offsets) {
+            const track = clip.tracks.find((candidate) => candidate.name === `${this.boneName}.position`);
+            if (!track) return false;
+            offsets = this.stripHorizontalTranslation(track);
+            EXTRACTED_OFFSETS.set(clip, offsets);
+        }
+
+        this.entries.push({ action, interpolant: offsets.createInterpolant(), lastTime: action.time });
+        return true;
+    }
+
+    /**
+     * Removes the horizontal part of a root position track in place and returns it as a separate track.
+     * "Horizontal" is measured in the model's own space (y up), so armature rotations/scales between
+     * the model and the bone don't matter.
+     * @param {THREE.KeyframeTrack} track - The root bone's position track.
+     * @returns {THREE.VectorKeyframeTrack} Horizontal offsets from the first keyframe, in model space.
+     */
+    stripHorizontalTranslation(track) {
+        // Linear transform from the bone's parent space to model space (and back).
+        this.model.updateMatrixWorld(true);
+        const parentToModel = new THREE.Matrix4()
+            .copy(this.model.matrixWorld).invert()
+            .multiply(this.bone.parent.matrixWorld);
+        const toModel = new THREE.Matrix3().setFromMatrix4(parentToModel);
+        const toParent = toModel.clone().invert();
+
+        const { values } = track;
+        const first = new THREE.Vector3().fromArray(values, 0);
+        const key = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+        const offsetValues = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i += 3) {
+            key.fromArray(values, i);
+            // Horizontal offset from the first keyframe, in model space.
+            offset.copy(key).sub(first).applyMatrix3(toModel).setY(0);
+            offset.toArray(offsetValues, i);
+            // Take it out of the clip, converting back to the bone's parent space.
+            key.sub(offset.applyMatrix3(toParent)).toArray(values, i);
+        }
+        return new THREE.VectorKeyframeTrack('.rootMotion', Array.from(track.times), offsetValues);
+    }
+
+    /**
+     * Checks whether an action plays a clip with extracted root motion.
+     * @param {THREE.AnimationAction | null} action - The action to check.
+     * @returns {boolean} True if the action is driven by root motion.
+     */
+    isRootMotionAction(action) {
+        return this.entries.some((entry) => entry.action === action);
+    }
+
+    /**
+     * Collects the root motion of all playing root-motion actions since the last call.
+     * The motion isn't scaled by fade weights, so a move covers exactly its authored distance.
+     * Call once per frame after the mixer has been updated.
+     * @returns {THREE.Vector3} World-space horizontal displacement for this frame.
+     */
+    update() {
+        const displacement = new THREE.Vector3();
+        this.entries.forEach((entry) => {
+            const { action, interpolant } = entry;
+            const time = action.time;
+            if (action.isScheduled() && time !== entry.lastTime) {
+                const duration = action.getClip().duration;
+                const delta = this.sampleOffset(interpolant, time);
+                if (time >= entry.lastTime) {
+                    delta.sub(this.sampleOffset(interpolant, entry.lastTime));
+                } else if (action.loop === THREE.LoopRepeat) {
+                    // Wrapped around: the rest of the last cycle plus the start of the new one.
+                    delta.add(this.sampleOffset(interpolant, duration)).sub(this.sampleOffset(interpolant, entry.lastTime));
+                }
+                // Otherwise the clip restarted: the motion so far is all from the start of the clip.
+                displacement.add(delta);
+            }
+            entry.lastTime = time;
+        });
+
+        // Model space to world space (rotation and scale of the model).
+        this.model.updateMatrixWorld();
+        return displacement.applyMatrix3(new THREE.Matrix3().setFromMatrix4(this.model.matrixWorld)).setY(0);
+    }
+
+    /**
+     * Evaluates a horizontal offset curve.
+     * @param {THREE.Interpolant} interpolant - The curve's interpolant.
+     * @param {number} time - Clip time in seconds.
+     * @returns {THREE.Vector3} The model-space offset at that time.
+     */
+    sampleOffset(interpolant, time) {
+        return new THREE.Vector3().fromArray(interpolant.evaluate(time));
+    }
+}
@@ -0,0 +1,112 @@
+// Stamina.js
+
+// --- Configuration Constants ---
+// Tunable parameters for the stamina resource. Override per character via STAMINA in its controller config.
+const STAMINA_CONFIG = {
+    MAX: 100,                // Full stamina.
+    SPRINT_DRAIN: 20,        // Stamina used per second while running.
+    JUMP_COST: 15,           // Stamina used per jump. A jump needs at least this much (0 = jumps are free).
+    REGEN_RATE: 25,          // Stamina regained per second once regeneration starts.
+    REGEN_DELAY_MS: 1000,    // Time after stamina was last used before it starts regenerating (milliseconds).
+    RECOVERY_THRESHOLD: 30,  // After running out, sprinting stays locked until stamina is back up to this.
+};
+// --- End Configuration ---
+
+/**
+ * A stamina resource: actions drain or spend it, it regenerates after a short delay, and running it
+ * dry exhausts the owner until it has recovered to RECOVERY_THRESHOLD. The owner decides what
+ * exhaustion gates (e.g. PlayerController drops to walk speed and can't jump).
+ */
+export class Stamina {
+    /**
+     * Initializes a full stamina resource.
+     * @param {object} [config={}] - Overrides for any STAMINA_CONFIG key.
+     */
+    constructor(config = {}) {
+        /** @type {object} Effective tuning values (STAMINA_CONFIG merged with overrides). */
+        this.config = { ...STAMINA_CONFIG, ...config };
+        /** @type {number} Current stamina (0 to config.MAX). */
+        this.current = this.config.MAX;
+        /** @type {boolean} True after running out, until stamina recovers to RECOVERY_THRESHOLD. */
+        this.exhausted = false;
+        /** @type {number} Remaining time (sec) before regeneration starts. */
+        this.regenTimer = 0;
+    }
+
+    /**
+     * Switches to another tuning (e.g. after a character switch), keeping the current fill fraction.
+     * @param {object} [config={}] - Overrides for any STAMINA_CONFIG key.
+     */
+    configure(config = {}) {
+        const fraction = this.getFraction();
+        this.config = { ...STAMINA_CONFIG, ...config };
+        this.current = fraction * this.config.MAX;
+    }
+
+    /**
+     * Gets the stamina as a fraction of the maximum, e.g. for a HUD bar.
+     * @returns {number} Current stamina between 0 and 1.
+     */
+    getFraction() {
+        return this.config.MAX > 0 ? this.current / this.config.MAX : 0;
+    }
+
+    /**
+     * Checks whether an action costing `amount` can be paid for right now.
+     * @param {number} amount - The stamina cost.
+     * @returns {boolean} True if not exhausted and enough stamina is left.
+     */
+    canSpend(amount) {
+        return !this.exhausted && this.current >= amount;
+    }
+
+    /**
+     * Uses stamina for a one-off action (e.g. a jump). Does nothing if it can't be paid for.
+     * @param {number} amount - The stamina cost.
+     * @returns {boolean} True if the stamina was spent.
+     */
+    spend(amount) {
+        if (!this.canSpend(amount)) return false;
+        this.use(amount);
+        return true;
+    }
+
+    /**
+     * Uses stamina continuously (e.g. while running), as much as is left.
+     * @param {number} rate - Stamina per second.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    drain(rate, delta) {
+        this.use(Math.min(this.current, rate * delta));
+    }
+
+    /**
+     * Takes stamina away, delays regeneration and exhausts the owner when it runs out.
+     * @param {number} amount - Stamina to remove (no more than current).
+     */
+    use(amount) {
+        if (amount <= 0) return;
+        this.current -= amount;
+        this.regenTimer = this.config.REGEN_DELAY_MS / 1000;
+        if (this.current <= 0) {
+            this.current = 0;
+            this.exhausted = true;
+        }
+    }
+
+    /**
+     * Regenerates stamina once the delay since it was last used has passed, and ends exhaustion at RECOVERY_THRESHOLD.
+     * Call once per frame.
+     * @param {number} delta - The time elapsed since the last frame in seconds.
+     */
+    update(delta) {
+        if (this.regenTimer > 0) {
+            this.regenTimer = Math.max(0, this.regenTimer - delta);
+            return;
+        }
+        this.current = Math.min(this.config.MAX, this.current + this.config.REGEN_RATE * delta);
+        if (this.exhausted && this.current >= Math.min(this.config.RECOVERY_THRESHOLD, this.config.MAX)) {
+            this.exhausted = false;
+        }
+    }
+}
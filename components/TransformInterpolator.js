@@ -0,0 +1,86 @@
+// TransformInterpolator.js
+import * as THREE from 'https://unpkg.com/three@0.125.1/build/three.module.js';
+
+/**
+ * Smooths rendering of objects moved by a fixed-timestep simulation.
+ * The simulation may run zero, one or several ticks per rendered frame, so objects would visibly stutter.
+ * Instead, each object's transform before and after the last tick is kept, and for rendering the object is
+ * placed between the two by the fraction of a tick left in the accumulator. After rendering, the simulated
+ * transform is put back so the simulation never sees the interpolated one.
+ *
+ * Per frame: saveState() before every tick, then apply(alpha), render, restore().
+ */
+export class TransformInterpolator {
+    /**
+     * Initializes an empty interpolator.
+     */
+    constructor() {
+        /** @type {Map<THREE.Object3D, {previousPosition: THREE.Vector3, previousQuaternion: THREE.Quaternion, currentPosition: THREE.Vector3, currentQuaternion: THREE.Quaternion}>} Tracked objects and their transforms. */
+        this.entries = new Map();
+    }
+
+    /**
+     * Starts interpolating an object (e.g. the player model or the camera).
+     * @param {THREE.Object3D} object - The object moved by the simulation.
+     */
+    add(object) {
+        this.entries.set(object, {
+            previousPosition: object.position.clone(),
+            previousQuaternion: object.quaternion.clone(),
+            currentPosition: object.position.clone(),
+            currentQuaternion: object.quaternion.clone(),
+        });
+    }
+
+    /**
+     * Stops interpolating an object.
+     * @param {THREE.Object3D} object - The object previously added.
+     */
+    remove(object) {
+        this.entries.delete(object);
+    }
+
+    /**
+     * Records every object's transform as the "previous" state. Call right before each simulation tick.
+     */
+    saveState() {
+        this.entries.forEach((entry, object) => {
+            entry.previousPosition.copy(object.position);
+            entry.previousQuaternion.copy(object.quaternion);
+        });
+    }
+
+    /**
+     * Skips interpolation for an object's next frame, e.g. after a teleport, so it doesn't visibly slide.
+     * @param {THREE.Object3D} object - The object that jumped to a new transform.
+     */
+    snap(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+        entry.previousPosition.copy(object.position);
+        entry.previousQuaternion.copy(object.quaternion);
+    }
+
+    /**
+     * Records the simulated transforms and moves every object to its interpolated transform for rendering.
+     * @param {number} alpha - How far between the previous and current tick to render (0-1).
+     */
+    apply(alpha) {
+        this.entries.forEach((entry, object) => {
+            entry.currentPosition.copy(object.position);
+            entry.currentQuaternion.copy(object.quaternion);
+            object.position.lerpVectors(entry.previousPosition, entry.currentPosition, alpha);
+            object.quaternion.copy(entry.previousQuaternion).slerp(entry.currentQuaternion, alpha);
+        });
+    }
+
+    /**
+     * Puts back the simulated transforms after rendering.
+     */
+    restore() {
+        this.entries.forEach((entry, object) => {
+            object.position.copy(entry.currentPosition);
+            object.quaternion.copy(entry.currentQuaternion);
+        });
+    }
+}
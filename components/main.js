@@ -6,8 +6,14 @@ import { InputManager } from './InputManager.js';
 import { CameraController } from './CameraController.js';
 import { PlayerController } from './PlayerController.js';
 import { ModelLoader } from './ModelLoader.js';
+import { CollisionSystem } from './CollisionSystem.js';
+import { MountController } from './MountController.js';
+import { TransformInterpolator } from './TransformInterpolator.js';
+import { AnimationNotifies } from './AnimationNotifies.js';
+import { AudioManager, AUDIO_BUSES } from './AudioManager.js';
 
-import { ANIM_NAMES } from './PlayerController.js';
+import { AnimationStateMachine } from './AnimationStateMachine.js';
+import { ANIM_NAMES, ANIM_FALLBACKS, PLAYER_EVENTS } from './PlayerController.js';
 
 // --- Configuration Constants ---
 // General scene and rendering settings.
@@ -27,27 +33,139 @@ const SCENE_CONFIG = {
     GROUND_SIZE: 64,                // Width and length of the ground plane.
     GROUND_COLOR: 0x333333,         // Color of the ground plane material.
     DEFAULT_MODEL_NORMALIZE_TARGET_HEIGHT: 3.0, // Target height for models after normalization.
+    PLAYGROUND_COLOR: 0x5a6a7a,     // Color of the test geometry (ramps, stairs, platforms).
 };
 
-// Configuration for the player model. Could be moved to JSON later.
-const PLAYER_MODEL_CONFIG = {
-    path: './models/catwoman.glb', // Path to the player's GLB file.
-    position: { x: 0, y: 0, z: 0 }, // Initial position in the world.
-    scale: 1,                      // Initial scale (will be adjusted by normalization).
-    isPlayer: true,                // Flag to identify the player model during loading.
+// Test geometry for walking on things other than the flat ground plane.
+// size/position are [x, y, z]; rotation is [x, y, z] in radians.
+// `ground` makes the block walkable (raycast by ground probes), `collider` makes its bounding box solid.
+// Rotated blocks (ramps) are ground only, since their axis-aligned bounding box would block the slope.
+const PLAYGROUND_BLOCKS = [
+    { size: [4, 0.2, 8.25], position: [-10, 1, 0], rotation: [-0.2527, 0, 0], ground: true },  // Gentle ramp (~14 degrees) up to the platform.
+    { size: [4, 2, 4], position: [-10, 1, 5.9], ground: true, collider: true },                 // Raised platform at the top of the ramp.
+    { size: [4, 0.2, 4], position: [-16, 1.53, 0], rotation: [-0.87, 0, 0], ground: true },    // Steep ramp (~50 degrees), too steep to walk up.
+    { size: [6, 3, 1], position: [0, 1.5, -10], ground: true, collider: true },                 // Wall too high to jump onto; jump at it to grab the ledge and climb up.
+];
+// Stairs built from stacked blocks. Step height must stay below the player's STEP_HEIGHT to be walkable.
+const PLAYGROUND_STAIRS = {
+    steps: 6,
+    stepHeight: 0.3,
+    stepDepth: 0.6,
+    width: 3,
+    position: [10, 0, 0], // Bottom front edge of the first step.
+};
+
+// Fixed-timestep simulation. Gameplay runs in ticks of FIXED_TIMESTEP regardless of the frame rate,
+// so the same inputs give the same results at any fps; rendering interpolates between the last two ticks.
+const SIMULATION_CONFIG = {
+    FIXED_TIMESTEP: 1 / 60, // Length of one simulation tick (seconds).
+    MAX_FRAME_TIME: 0.25,   // Longest frame time fed into the simulation (seconds). After a tab switch or a hitch the game slows down instead of running hundreds of catch-up ticks.
 };
 
-// Configuration for other static/environment models. Could be moved to JSON later.
+// Playable characters. One is controlled at a time; the others stand around as props and can be
+// switched to at runtime with their hotkey (see MainGame.switchCharacter()). Could be moved to JSON later.
+// All characters are normalized to the same height so they can swap places.
+const CHARACTER_CONFIGS = [
+    {
+        id: 'catwoman',
+        path: './models/catwoman.glb',  // Path to the character's GLB file.
+        position: { x: 0, y: 0, z: 0 }, // Initial position in the world.
+        scale: 1,                       // Initial scale (will be adjusted by normalization).
+        hotkey: 'Digit1',               // Key (KeyboardEvent.code) that switches to this character.
+        collider: { size: { x: 1, y: 3, z: 1 } }, // Collider used while standing around as a prop.
+        // Animation notifies by clip name, at normalized clip times (0-1); added to any in the file's glTF extras.
+        // Subscribe with mainGame.animationNotifies.on('footstep', (event) => ...).
+        notifies: {
+            walk: [{ name: 'footstep', time: 0.35 }, { name: 'footstep', time: 0.85 }], // Left and right foot contacts.
+            run: [{ name: 'footstep', time: 0.35 }, { name: 'footstep', time: 0.85 }],
+        },
+        // Per-character overrides for PlayerController's PLAYER_CONFIG (speed, jump, animation tuning).
+        controllerConfig: {
+            AIR_CONTROL_MODE: 'steerable', // Platformer-style jump: steer mid-air. Use 'committed' to lock the takeoff velocity.
+            AIR_CONTROL: 0.35,             // Authority factor of mid-air steering (0-1).
+            AIR_MAX_SPEED: 8.0,            // Max speed reachable through air steering (units/sec).
+            AIR_TURNING: true,             // Rotate the model toward the steered direction while airborne.
+            // Clip names, if this model's differ from ANIM_NAMES (e.g. { IDLE: 'Idle', RUN: ['Running', 'Run'] }).
+            // None of the bundled models has a dodge clip, so C does nothing until one with a 'dodge' clip is added.
+        },
+    },
+    {
+        id: 'supergirl',
+        path: './models/supergirl.glb',
+        position: { x: 3, y: 0, z: 0 },
+        scale: 1000,
+        hotkey: 'Digit2',
+        collider: { size: { x: 1, y: 3, z: 1 } },
+        controllerConfig: {
+            JUMP_HEIGHT: 4.0,              // Jumps much higher...
+            AIR_CONTROL_MODE: 'steerable', // ...and can steer freely in the air.
+            AIR_CONTROL: 0.8,
+            AIR_MAX_SPEED: 10.0,
+            AIR_TURNING: true,
+            // Foot IK bone names differ from the defaults (catwoman's).
+            FOOT_IK: {
+                BONES: {
+                    LEFT_UP_LEG: 'mixamorigLeftUpLeg_039',
+                    LEFT_LEG: 'mixamorigLeftLeg_040',
+                    LEFT_FOOT: 'mixamorigLeftFoot_041',
+                    RIGHT_UP_LEG: 'mixamorigRightUpLeg_044',
+                    RIGHT_LEG: 'mixamorigRightLeg_045',
+                    RIGHT_FOOT: 'mixamorigRightFoot_046',
+                },
+            },
+        },
+    },
+    {
+        id: 'flash',
+        path: './models/flash.glb',
+        position: { x: -3, y: 0, z: 0 },
+        scale: 1,
+        hotkey: 'Digit3',
+        collider: { size: { x: 1, y: 3, z: 1 } },
+        controllerConfig: {
+            RUN_SPEED: 22.0,               // Very fast sprint...
+            ACCELERATION: 60.0,            // ...that gets up to speed quickly...
+            TURN_RATE: 360,                // ...but turns wider at speed.
+            RUN_ANIM_SPEED: 16.0,          // Longer strides: the run clip covers more ground per cycle (less speed-up at full sprint).
+            ANIM_FADE_DURATION: 0.1,       // Snappier animation blends.
+            FOOT_IK: { BONES: { RIGHT_UP_LEG: 'mixamorigRightUpLeg_060' } }, // Only this bone name differs from the defaults.
+        },
+    },
+];
+// The character controlled at startup.
+const INITIAL_CHARACTER_ID = 'catwoman';
+
+// Configuration for other static models. Could be moved to JSON later.
+// `collider: true` uses the model's bounding box; skinned models can use an explicit size since their geometry bounds don't match the pose.
 const STATIC_MODEL_CONFIGS = [
-     { path: './models/supergirl.glb', position: { x: 3, y: 0, z: 0 }, scale: 1000 }, // Example non-player model
-     { path: './models/flash.glb', position: { x: -3, y: 0, z: 0 }, scale: 1 },     // Example non-player model
      // ... other static models
 ];
+// Models with a `mount` object are rideable (walk up and press E). Its keys override MountController's MOUNT_CONFIG.
+// Mount colliders are dynamic (isStatic: false) so they follow the mount when ridden.
 const ENV_MODEL_CONFIGS = [
-     { path: './models/horse.glb', position: { x: 12, y: 0, z: 12 }, scale: 1, rotation: { x: 0, y: 1.5, z: 1.5}}, // Example env model
-     { path: './models/horse.glb', position: { x: -12, y: 0, z: -12 }, scale: 1, rotation: { x: -1, y: 2, z: 2}}, // Example env model
+     {
+         path: './models/horse.glb', position: { x: 12, y: 0, z: 12 }, scale: 1.5, rotation: { x: 0, y: 1.5, z: 0 },
+         collider: { isStatic: false },
+         mount: { WALK_SPEED: 4.0, GALLOP_SPEED: 14.0, TURN_RATE: 100, CAMERA_ZOOM: 13 },
+         ambientSound: { sound: 'horseSnort', minInterval: 6, maxInterval: 15 }, // Plays a SOUND_BANK sound every now and then (seconds).
+     },
+     {
+         path: './models/horse.glb', position: { x: -12, y: 0, z: -12 }, scale: 1.5, rotation: { x: 0, y: 2, z: 0 },
+         collider: { isStatic: false },
+         mount: { WALK_SPEED: 3.5, GALLOP_SPEED: 12.0, TURN_RATE: 120, CAMERA_ZOOM: 12 }, // A slightly slower, nimbler horse
+         ambientSound: { sound: 'horseSnort', minInterval: 8, maxInterval: 20 },
+     },
      // ... other environment models
 ];
+
+// Sounds by name, loaded by the AudioManager. Each play picks one of the files at random.
+// `bus` is 'sfx' (default) or 'ambience'; `refDistance` is how far away a positional sound is still at full volume.
+// PLACEHOLDERS: the bundled sounds/footstep_1-3.wav and sounds/horse_snort_1-2.wav are short synthesized noise bursts,
+// not recordings; they only give these entries something to play. Replace them with real recordings (any format the browser decodes).
+const SOUND_BANK = {
+    footstep: { paths: ['./sounds/footstep_1.wav', './sounds/footstep_2.wav', './sounds/footstep_3.wav'], bus: AUDIO_BUSES.SFX, volume: 0.5, refDistance: 2 },
+    horseSnort: { paths: ['./sounds/horse_snort_1.wav', './sounds/horse_snort_2.wav'], bus: AUDIO_BUSES.AMBIENCE, volume: 0.8, refDistance: 4 },
+};
 // --- End Configuration ---
 
 
@@ -89,16 +207,41 @@ class MainGame {
         this.inputManager = new InputManager(this.canvas);
         /** @type {THREE.Clock} Used for getting delta time between frames. */
         this.clock = new THREE.Clock();
+        /** @type {number} Frame time (seconds) not yet simulated; less than one FIXED_TIMESTEP after each frame. */
+        this.accumulator = 0;
+        /** @type {boolean} Whether the camera jumped this tick (player respawn), so its render interpolation must be skipped once it has moved. */
+        this.cameraTeleported = false;
+        /** @type {TransformInterpolator} Smooths rendering of simulated objects (player, camera, characters, mounts) between ticks. */
+        this.interpolator = new TransformInterpolator();
+        this.interpolator.add(this.camera);
         /** @type {Array<THREE.AnimationMixer>} Stores animation mixers for updating animations. */
         this.mixers = [];
+        /** @type {AnimationNotifies} Fires markers placed on clips (footsteps, sound cues) from every model's mixer. */
+        this.animationNotifies = new AnimationNotifies();
+        /** @type {AudioManager} Plays positional sounds, heard from the camera. Silent until the first click or key press (browser autoplay policy). */
+        this.audioManager = new AudioManager(this.camera);
+        this.audioManager.loadBank(SOUND_BANK);
+        // Footstep markers play the footstep sound on whichever model stepped.
+        this.animationNotifies.on('footstep', (event) => this.audioManager.play('footstep', event.model, event.weight));
         /** @type {CameraController} Manages the third-person camera. */
         this.cameraController = new CameraController(this.camera, this.inputManager);
         /** @type {PlayerController | null} Manages the player character. Initialized after model loads. */
         this.playerController = null;
+        /** @type {CollisionSystem} Collision world the player moves through. Models flagged with `collider` are added on load. */
+        this.collisionSystem = new CollisionSystem();
+        // Keep the camera out of walls and large models.
+        this.cameraController.setCollisionSystem(this.collisionSystem);
+        /** @type {Array<MountController>} Rideable mounts (e.g. horses). Filled as their models load. */
+        this.mounts = [];
+        /** @type {Object.<string, {model: THREE.Object3D, modelAnimations: object|null, config: object}>} Loaded playable characters by id. */
+        this.characters = {};
+        /** @type {string} Id of the character currently controlled by the player. */
+        this.activeCharacterId = INITIAL_CHARACTER_ID;
 
         // Initialization steps
         this.addLights();         // Add lights to the scene
         this.addTile();           // Add a ground plane
+        this.addPlayground();     // Add ramps, stairs and platforms
         this.loadModels();        // Load player and other models
 
         // Event listener for window resize
@@ -150,6 +293,48 @@ class MainGame {
 
         // Add the tile to the scene.
         this.scene.add(grassTile);
+        // The ground plane is walkable.
+        this.collisionSystem.addGround(grassTile);
+    }
+
+    /**
+     * Adds the test geometry (ramps, stairs, platforms) described by PLAYGROUND_BLOCKS and PLAYGROUND_STAIRS.
+     */
+    addPlayground() {
+        const material = new THREE.MeshLambertMaterial({ color: SCENE_CONFIG.PLAYGROUND_COLOR });
+
+        // Build the stairs as additional blocks, each step resting on the ground.
+        const { steps, stepHeight, stepDepth, width, position } = PLAYGROUND_STAIRS;
+        const stairBlocks = [];
+        for (let i = 0; i < steps; i++) {
+            const height = stepHeight * (i + 1);
+            stairBlocks.push({
+                size: [width, height, stepDepth],
+                position: [position[0], position[1] + height / 2, position[2] + stepDepth * (i + 0.5)],
+                ground: true,
+                collider: true,
+            });
+        }
+
+        [...PLAYGROUND_BLOCKS, ...stairBlocks].forEach((block) => {
+            const mesh = new THREE.Mesh(new THREE.BoxGeometry(...block.size), material);
+            mesh.position.set(...block.position);
+            if (block.rotation) {
+                mesh.rotation.set(...block.rotation);
+            }
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            this.scene.add(mesh);
+            // World matrix is needed right away for the collider bounding box.
+            mesh.updateMatrixWorld();
+
+            if (block.ground) {
+                this.collisionSystem.addGround(mesh);
+            }
+            if (block.collider) {
+                this.collisionSystem.addCollider(mesh);
+            }
+        });
     }
 
     /**
@@ -200,8 +385,9 @@ class MainGame {
      */
     loadModels() {
         // Combine all model configurations into one list for iteration.
-        // Ensure player config is handled specifically due to controller initialization.
-        const allModelConfigs = [PLAYER_MODEL_CONFIG, ...STATIC_MODEL_CONFIGS, ...ENV_MODEL_CONFIGS];
+        // Characters are handled specifically due to controller initialization and switching.
+        const characterConfigs = CHARACTER_CONFIGS.map((config) => ({ ...config, isCharacter: true }));
+        const allModelConfigs = [...characterConfigs, ...STATIC_MODEL_CONFIGS, ...ENV_MODEL_CONFIGS];
 
         allModelConfigs.forEach((config) => {
             // Use the static ModelLoader class to load each model.
@@ -211,6 +397,21 @@ class MainGame {
                 (gltf, model) => {
                     // Add the loaded model object to the scene.
                     this.scene.add(model);
+                    // Characters and mounts move in the simulation; render them interpolated between ticks.
+                    if (config.isCharacter || config.mount) {
+                        this.interpolator.add(model);
+                    }
+
+                    // The controlled character must never collide with itself.
+                    const isPlayer = config.isCharacter && config.id === this.activeCharacterId;
+
+                    // Register the model as a collider and/or walkable ground if its config flagged it.
+                    if (model.userData.collider && !isPlayer) {
+                        this.collisionSystem.addCollider(model, model.userData.collider);
+                    }
+                    if (model.userData.ground) {
+                        this.collisionSystem.addGround(model);
+                    }
 
                     // --- Animation Setup ---
                     let modelAnimations = null; // Prepare animation data structure
@@ -228,24 +429,48 @@ class MainGame {
                         modelAnimations = { mixer, actions };
                         // Add the mixer to the global list for updating in the animate loop.
                         this.mixers.push(mixer);
+                        // Fire the clips' markers, from the glTF file and the config.
+                        this.animationNotifies.register(model, modelAnimations, AnimationNotifies.collectMarkers(gltf, config.notifies));
                     }
 
-                    // --- Player Specific Initialization ---
-                    // Check if this loaded model is the designated player model.
-                    if (config.isPlayer) {
-                         // Normalize the player model's scale.
+                    // --- Character Registration ---
+                    // Characters are normalized to the same height and remembered for switching.
+                    if (config.isCharacter) {
                         this.normalizeModelScale(model);
+                        this.characters[config.id] = { model, modelAnimations, config };
+                    }
 
+                    // --- Player Specific Initialization ---
+                    // Check if this loaded model is the character controlled at startup.
+                    if (isPlayer) {
                         // Initialize the PlayerController with the loaded player model and its animations.
-                        this.playerController = new PlayerController(model, this.camera, this.inputManager, modelAnimations);
-
-                        // Tell the CameraController which object to follow.
-                        this.cameraController.setPlayer(model);
+                        this.playerController = new PlayerController(model, this.camera, this.inputManager, modelAnimations, config.controllerConfig);
+                        // Let the player collide with everything registered in the collision world.
+                        this.playerController.setCollisionSystem(this.collisionSystem);
+                        // Give the player access to the mounts and the camera (for mount-specific zoom).
+                        this.playerController.setMounts(this.mounts);
+                        this.playerController.setCameraController(this.cameraController);
+                        // Falling out of the world teleports the player: don't interpolate or smooth the camera across the map.
+                        this.playerController.on(PLAYER_EVENTS.RESPAWNED, () => {
+                            this.interpolator.snap(this.playerController.player);
+                            this.cameraController.snap();
+                            this.cameraTeleported = true;
+                        });
 
-                        // Start the default animation (Idle) if it exists
-                        if (modelAnimations && modelAnimations.actions[ANIM_NAMES.IDLE]) {
-                            modelAnimations.actions[ANIM_NAMES.IDLE].play();
-                        }
+                        // Tell the CameraController which object to follow (and which way the model faces, for auto-recenter).
+                        this.cameraController.setPlayer(model, this.playerController.config.MODEL_FORWARD_DIRECTION);
+                    }
+                    // --- Mount Initialization ---
+                    // Rideable models get a MountController, which also drives their animations.
+                    else if (config.mount) {
+                        const mount = new MountController(model, modelAnimations, config.mount);
+                        mount.setCollisionSystem(this.collisionSystem);
+                        this.mounts.push(mount);
+                    }
+                    // --- Idle Characters ---
+                    // Characters that aren't controlled stand around in their idle animation.
+                    else if (config.isCharacter) {
+                        this.playPropAnimation(this.characters[config.id]);
                     }
                     // --- Non-Player Animation Start ---
                     // Optional: Automatically play the first animation for non-player animated models.
@@ -254,6 +479,12 @@ class MainGame {
                         const firstClipName = gltf.animations[0].name;
                         modelAnimations.actions[firstClipName].play();
                     }
+
+                    // --- Ambient Sounds ---
+                    if (config.ambientSound) {
+                        const { sound, minInterval, maxInterval } = config.ambientSound;
+                        this.audioManager.addAmbientEmitter(model, sound, minInterval, maxInterval);
+                    }
                 },
                 // Error callback (onError)
                 (error) => {
@@ -263,6 +494,70 @@ class MainGame {
         });
     }
 
+    /**
+     * Plays the idle animation (or the first clip) on a character that isn't being controlled.
+     * The idle clip is looked up through the character's animation mapping, like PlayerController does.
+     * @param {{model: THREE.Object3D, modelAnimations: object|null, config: object}} character - The loaded character.
+     */
+    playPropAnimation(character) {
+        if (!character.modelAnimations) return;
+        const { mixer, actions } = character.modelAnimations;
+        mixer.stopAllAction();
+        const names = { ...ANIM_NAMES, ...(character.config.controllerConfig || {}).ANIMATIONS };
+        const { clips } = AnimationStateMachine.resolveClips(actions, names, ANIM_FALLBACKS);
+        const idleAction = actions[clips.IDLE] || Object.values(actions)[0];
+        idleAction.reset().play();
+    }
+
+    /**
+     * Switches the controlled character at runtime.
+     * The new character takes over the current position and facing (and the camera keeps its
+     * rotation and zoom); the previous character is left standing where the new one was.
+     * @param {string} characterId - Id of the character to control (see CHARACTER_CONFIGS).
+     * @returns {boolean} True if the switch happened (false if unknown, not loaded yet, or already active).
+     */
+    switchCharacter(characterId) {
+        const next = this.characters[characterId];
+        const previous = this.characters[this.activeCharacterId];
+        if (!next || !previous || !this.playerController || characterId === this.activeCharacterId) {
+            return false;
+        }
+
+        // The previous character takes the new one's spot as a prop.
+        const propPosition = next.model.position.clone();
+        const propQuaternion = next.model.quaternion.clone();
+        this.collisionSystem.removeCollider(next.model);
+
+        // Re-bind the controllers to the new model (transform and velocity carry over).
+        this.playerController.setCharacter(next.model, next.modelAnimations, next.config.controllerConfig);
+        this.cameraController.setPlayer(next.model, this.playerController.config.MODEL_FORWARD_DIRECTION);
+        this.activeCharacterId = characterId;
+
+        previous.model.position.copy(propPosition);
+        previous.model.quaternion.copy(propQuaternion);
+        previous.model.updateMatrixWorld();
+        if (previous.model.userData.collider) {
+            this.collisionSystem.addCollider(previous.model, previous.model.userData.collider);
+        }
+        this.playPropAnimation(previous);
+
+        // Both models jumped to new spots; don't interpolate across the swap.
+        this.interpolator.snap(next.model);
+        this.interpolator.snap(previous.model);
+        return true;
+    }
+
+    /**
+     * Switches characters when one of their hotkeys was pressed.
+     */
+    handleCharacterHotkeys() {
+        CHARACTER_CONFIGS.forEach((config) => {
+            if (this.inputManager.consumeKeyPress(config.hotkey)) {
+                this.switchCharacter(config.id);
+            }
+        });
+    }
+
     /**
      * Handles the browser window resize event.
      * Updates the renderer size and camera aspect ratio to match the new window dimensions.
@@ -284,27 +579,57 @@ class MainGame {
         // Request the next frame, binding 'this' correctly.
         requestAnimationFrame(this.animate.bind(this));
 
-        // Get the time elapsed since the last frame (delta time in seconds).
-        const delta = this.clock.getDelta();
+        // Get the time elapsed since the last frame (delta time in seconds), capped so a long frame can't blow up the simulation.
+        const frameTime = Math.min(this.clock.getDelta(), SIMULATION_CONFIG.MAX_FRAME_TIME);
+        this.accumulator += frameTime;
 
+        // Run as many fixed ticks as the elapsed time covers (possibly none at high frame rates).
+        const step = SIMULATION_CONFIG.FIXED_TIMESTEP;
+        while (this.accumulator >= step) {
+            this.interpolator.saveState();
+            this.fixedUpdate(step);
+            this.accumulator -= step;
+        }
+
+        // Render between the last two ticks, by how far we are into the next one.
+        this.interpolator.apply(this.accumulator / step);
+        // Render the scene from the perspective of the camera.
+        this.renderer.render(this.scene, this.camera);
+        this.interpolator.restore();
+    }
+
+    /**
+     * Advances the simulation by one fixed tick: animations, character switching, collisions, player and camera.
+     * @param {number} delta - The tick length in seconds (always SIMULATION_CONFIG.FIXED_TIMESTEP).
+     */
+    fixedUpdate(delta) {
         // Update all active animation mixers.
         this.mixers.forEach((mixer) => mixer.update(delta));
+        // Fire the animation markers the mixers just played past.
+        this.animationNotifies.update();
+        // Play ambient sounds that are due.
+        this.audioManager.update(delta);
+
+        // Switch the controlled character if a character hotkey was pressed.
+        this.handleCharacterHotkeys();
+
+        // Refresh any dynamic (moving) colliders before the player is swept against them.
+        this.collisionSystem.updateColliders();
 
         // Update the player controller logic (physics, movement, state).
-        // Pass delta time for frame-rate independent calculations.
         if (this.playerController) {
             this.playerController.update(delta);
         }
 
-        // Update the camera controller logic (position, rotation, zoom).
-        // Note: The current CameraController.update doesn't use delta, but could be added for smoothing.
+        // Update the camera controller logic (position, rotation, zoom, smoothing, collision).
         if (this.cameraController) {
-             this.cameraController.update(); // Pass delta if smoothing is implemented
+             this.cameraController.update(delta);
+        }
+        // The camera jumped with a respawned player; render it from its new spot right away.
+        if (this.cameraTeleported) {
+            this.interpolator.snap(this.camera);
+            this.cameraTeleported = false;
         }
-
-
-        // Render the scene from the perspective of the camera.
-        this.renderer.render(this.scene, this.camera);
     }
 }
 